@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+* Battery monitoring
+*
+* Logs the battery readings of a controller over time and keeps them in
+* localStorage, keyed by controller, so a long soak test survives page
+* reloads. Readings are stored when the state changes, and at a fixed pace
+* otherwise so the chart keeps a timeline. A new charge level must hold for a
+* few seconds before it is stored, so a level flickering at a boundary doesn't
+* flood the history; cable and error changes are stored right away.
+*
+* The controllers only report the charge in 10% steps, so rates are
+* measured between level changes: a rate needs two of them within the
+* current charge or discharge period.
+*/
+
+const STORAGE_PREFIX = "battery-history:";
+
+// Unchanged readings are stored at this pace
+const SAMPLE_INTERVAL_MS = 10 * 1000;
+// 24 hours at one reading every SAMPLE_INTERVAL_MS
+const MAX_ENTRIES = 8640;
+// A new charge level is stored once it was reported for this long
+const LEVEL_DEBOUNCE_MS = 5 * 1000;
+// The history is written to localStorage at most this often
+const SAVE_INTERVAL_MS = 30 * 1000;
+// Readings further apart than this belong to different sessions (page closed, controller off)
+export const BATTERY_GAP_MS = 60 * 1000;
+
+// The cable is flapping if it was plugged or unplugged this many times within FLAP_WINDOW_MS
+const FLAP_WINDOW_MS = 5 * 60 * 1000;
+const FLAP_THRESHOLD = 4;
+
+export class BatteryHistory {
+  /**
+  * @param {string} key Identifies the controller, e.g. product id and Bluetooth address
+  * @param {Storage|null} storage Where the readings are kept, null to keep them in memory only
+  */
+  constructor(key, storage = globalThis.localStorage ?? null) {
+    this.key = STORAGE_PREFIX + key;
+    this.storage = storage;
+    this.entries = this._load();
+    this.lastSave = 0;
+    this.unsaved = false;
+    this.pendingLevel = null;
+    this.dirty = true;
+  }
+
+  /**
+  * Log a battery reading
+  * @param {Object} status Battery status, as returned by the ControllerManager
+  * @param {number} timestamp Reading time, in milliseconds since the epoch
+  * @returns {boolean} Whether the reading was stored
+  */
+  record({ bat_capacity, cable_connected, is_charging, is_error }, timestamp = Date.now()) {
+    const last = this.entries.at(-1);
+
+    let capacity = bat_capacity;
+    if (last && capacity !== last.capacity) {
+      if (this.pendingLevel?.capacity !== capacity) this.pendingLevel = { capacity, since: timestamp };
+      if (timestamp - this.pendingLevel.since < LEVEL_DEBOUNCE_MS) capacity = last.capacity;
+    } else {
+      this.pendingLevel = null;
+    }
+
+    const entry = { t: timestamp, capacity, cable: cable_connected, charging: is_charging, error: is_error };
+    const changed = !last || ['capacity', 'cable', 'charging', 'error'].some(key => last[key] !== entry[key]);
+    if (!changed && timestamp - last.t < SAMPLE_INTERVAL_MS) return false;
+
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    this.dirty = true;
+    this.unsaved = true;
+
+    if (timestamp - this.lastSave >= SAVE_INTERVAL_MS) this.save(timestamp);
+    return true;
+  }
+
+  /**
+  * Write the history to storage, if it changed since the last save
+  */
+  save(timestamp = Date.now()) {
+    if (!this.unsaved) return;
+    this.unsaved = false;
+    this.lastSave = timestamp;
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn("Failed to save the battery history", error);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.unsaved = false;
+    this.pendingLevel = null;
+    this.dirty = true;
+    this.storage?.removeItem(this.key);
+  }
+
+  /**
+  * Estimate the charge or discharge rate of the current period
+  * @returns {Object|null} { state, capacity, rate, remaining }, null without readings.
+  *   state is 'charging', 'discharging', 'full' or 'error'; rate is in percent per hour
+  *   (negative when discharging) and remaining the time to full or empty in milliseconds,
+  *   both null until two level changes were seen.
+  */
+  getRate() {
+    const last = this.entries.at(-1);
+    if (!last) return null;
+
+    const state = last.error ? 'error'
+      : last.charging ? 'charging'
+      : last.cable ? 'full'
+      : 'discharging';
+    const result = { state, capacity: last.capacity, rate: null, remaining: null };
+    if (state !== 'charging' && state !== 'discharging') return result;
+
+    // Level changes since the cable was last plugged or unplugged, without interruption
+    const changes = [];
+    for (let i = this.entries.length - 1; i > 0; i--) {
+      const entry = this.entries[i];
+      const previous = this.entries[i - 1];
+      if (previous.cable !== last.cable || previous.error || entry.t - previous.t > BATTERY_GAP_MS) break;
+      if (previous.capacity !== entry.capacity) changes.unshift(entry);
+    }
+    if (changes.length < 2) return result;
+
+    const first = changes[0];
+    const latest = changes.at(-1);
+    const rate = (latest.capacity - first.capacity) / ((latest.t - first.t) / 3600000);
+    if (rate === 0 || (rate > 0) !== (state === 'charging')) return result;
+
+    const left = state === 'charging' ? 100 - last.capacity : last.capacity;
+    return { ...result, rate, remaining: left / Math.abs(rate) * 3600000 };
+  }
+
+  /**
+  * @param {number} now Current time, in milliseconds since the epoch
+  * @returns {string[]} Problems seen in the history
+  */
+  getWarnings(now = Date.now()) {
+    const warnings = [];
+
+    if (this.entries.at(-1)?.error) {
+      warnings.push("The battery reports an error");
+    }
+    const errors = this.entries.filter((entry, i) => entry.error && !this.entries[i - 1]?.error).length;
+    if (errors > 0) {
+      warnings.push(`Error state seen ${errors} time${errors > 1 ? 's' : ''}`);
+    }
+
+    // Error readings don't report the cable state reliably, so they are left out
+    const recent = this.entries.filter(entry => now - entry.t <= FLAP_WINDOW_MS && !entry.error);
+    const flaps = recent.filter((entry, i) => i > 0 && entry.cable !== recent[i - 1].cable).length;
+    if (flaps >= FLAP_THRESHOLD) {
+      warnings.push(`Cable connected/disconnected ${flaps} times in the last ${FLAP_WINDOW_MS / 60000} minutes`);
+    }
+    return warnings;
+  }
+
+  _load() {
+    try {
+      const entries = JSON.parse(this.storage?.getItem(this.key) ?? "[]");
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.warn("Ignoring an invalid battery history", error);
+      return [];
+    }
+  }
+}
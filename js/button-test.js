@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+* Guided button test
+*
+* Builds a checklist from the button map of the controller: every button
+* and d-pad direction must be pressed and released, both analog triggers
+* must travel the whole 0-255 range. Buttons that change state faster than
+* a finger can are counted as chattering.
+*/
+
+const DPAD_DIRECTIONS = ['up', 'right', 'down', 'left'];
+const ANALOG_TRIGGERS = ['l2_analog', 'r2_analog'];
+
+// Two state changes closer than this come from contact bounce, not from a finger
+export const CHATTER_THRESHOLD_MS = 30;
+
+const LABELS = {
+  up: "D-pad Up", right: "D-pad Right", down: "D-pad Down", left: "D-pad Left",
+  l3: "L3 (stick click)", r3: "R3 (stick click)",
+  l2_analog: "L2 analog", r2_analog: "R2 analog",
+  ps: "PS", fn_left: "Fn Left", fn_right: "Fn Right",
+};
+
+function control_label(name) {
+  if (LABELS[name]) return LABELS[name];
+  if (name.length <= 2) return name.toUpperCase();
+  return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+export class ButtonTest {
+  /**
+  * @param {Object[]} buttonMap Button map of the active input config
+  */
+  constructor(buttonMap) {
+    // DualSense maps L2/R2 on the whole analog byte (mask 0xff): they are covered by the range checks
+    const digital = buttonMap.filter(btn => btn.mask !== 0xff);
+    const names = [...new Set([...DPAD_DIRECTIONS, ...digital.map(btn => btn.name)])];
+
+    this.buttons = names.map(name => ({
+      name,
+      label: control_label(name),
+      pressed: false,
+      passed: false,
+      lastChange: null,
+      chatter: 0,
+    }));
+    this.triggers = ANALOG_TRIGGERS.map(name => ({
+      name,
+      label: control_label(name),
+      min: null,
+      max: null,
+      passed: false,
+    }));
+    this.startedAt = new Date().toISOString();
+    this.dirty = true;
+  }
+
+  /**
+  * Record the changes of one input report
+  * @param {Object} changes Changes reported by the ControllerManager
+  * @param {number} timestamp Report time in milliseconds
+  */
+  update(changes, timestamp) {
+    for (const button of this.buttons) {
+      if (!changes.hasOwnProperty(button.name)) continue;
+      const pressed = changes[button.name];
+
+      if (button.lastChange !== null && timestamp - button.lastChange < CHATTER_THRESHOLD_MS) {
+        button.chatter++;
+      }
+      button.lastChange = timestamp;
+
+      if (pressed) {
+        button.pressed = true;
+      } else if (button.pressed) {
+        button.pressed = false;
+        button.passed = true;
+      }
+      this.dirty = true;
+    }
+
+    for (const trigger of this.triggers) {
+      if (!changes.hasOwnProperty(trigger.name)) continue;
+      const value = changes[trigger.name];
+      trigger.min = trigger.min === null ? value : Math.min(trigger.min, value);
+      trigger.max = trigger.max === null ? value : Math.max(trigger.max, value);
+      trigger.passed = trigger.min === 0 && trigger.max === 255;
+      this.dirty = true;
+    }
+  }
+
+  /**
+  * @returns {{passed: boolean, missing: string[], chattering: string[]}} Labels of the failing controls
+  */
+  getResult() {
+    const missing = [...this.buttons, ...this.triggers].filter(c => !c.passed).map(c => c.label);
+    const chattering = this.buttons.filter(b => b.chatter > 0).map(b => b.label);
+    return { passed: missing.length === 0 && chattering.length === 0, missing, chattering };
+  }
+}
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+* Backup and restore of the controller calibration blocks
+*/
+
+const BACKUP_FORMAT = "dualshock-tools-calibration";
+const BACKUP_VERSION = 1;
+
+function info_value(info, ...ids) {
+  for (const id of ids) {
+    const item = info?.infoItems?.find(item => item.id === id);
+    if (item) return item.value;
+  }
+  return null;
+}
+
+/**
+* Identify a controller by model, serial number and firmware version.
+* DS4 has no readable serial number, so its Bluetooth address is used instead.
+* @param {Object} controller ControllerManager of the device
+* @param {Object} info Result of getInfo()
+* @returns {{model: string, serial: string|null, firmware: string|null}}
+*/
+export function get_device_identity(controller, info) {
+  return {
+    model: controller.getModel(),
+    serial: info_value(info, 'serial', 'bdaddr'),
+    firmware: info_value(info, 'fw_version', 'sw_version'),
+  };
+}
+
+/**
+* Read every calibration block of the controller into a backup object
+* @param {Object} controller ControllerManager of the device
+* @param {Object} info Result of getInfo()
+* @returns {Promise<Object>} Backup, ready to be saved as JSON
+*/
+export async function create_calibration_backup(controller, info) {
+  const blocks = {};
+  for (const block of controller.getCalibrationBlocks()) {
+    blocks[block.name] = await block.read();
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created: new Date().toISOString(),
+    ...get_device_identity(controller, info),
+    blocks,
+  };
+}
+
+/**
+* Parse and validate a backup file
+* @param {string} text File content
+* @returns {Object} Backup object
+*/
+export function parse_calibration_backup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not a calibration backup", { cause: error });
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || typeof backup.blocks !== 'object') {
+    throw new Error("The file is not a calibration backup");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+  return backup;
+}
+
+/**
+* Compare a backup with the connected controller.
+* A different model is always refused; a different serial number needs an explicit override.
+* @returns {{ok: boolean, overridable: boolean, problems: string[], warnings: string[]}}
+*/
+export function check_calibration_backup(controller, info, backup) {
+  const device = get_device_identity(controller, info);
+  const problems = [];
+  const warnings = [];
+  let overridable = true;
+
+  if (backup.model !== device.model) {
+    problems.push(`The backup was made on a ${backup.model}, the connected controller is a ${device.model}.`);
+    overridable = false;
+  }
+  if (backup.serial !== device.serial) {
+    problems.push(`The backup was made on another controller (${backup.serial ?? "unknown"}, connected: ${device.serial ?? "unknown"}).`);
+  }
+  if (backup.firmware !== device.firmware) {
+    warnings.push(`The firmware differs (backup: ${backup.firmware ?? "unknown"}, connected: ${device.firmware ?? "unknown"}).`);
+  }
+
+  return { ok: problems.length === 0, overridable, problems, warnings };
+}
+
+/**
+* Write the writable blocks of a backup back to the controller
+* @param {Object} controller ControllerManager of the device
+* @param {Object} info Result of getInfo()
+* @param {Object} backup Backup object, as returned by parse_calibration_backup()
+* @param {Object} opts Options
+* @param {boolean} opts.override Restore even if the backup comes from another controller of the same model
+* @returns {Promise<{written: string[], skipped: string[]}>} Names of the restored and read-only blocks
+*/
+export async function restore_calibration_backup(controller, info, backup, { override = false } = {}) {
+  const check = check_calibration_backup(controller, info, backup);
+  if (!check.ok && !(override && check.overridable)) {
+    throw new Error(check.problems.join(" "));
+  }
+
+  const written = [];
+  const skipped = [];
+  for (const block of controller.getCalibrationBlocks()) {
+    if (!(block.name in backup.blocks)) continue;
+
+    if (!block.write) {
+      skipped.push(block.name);
+      continue;
+    }
+    await block.write(backup.blocks[block.name]);
+    written.push(block.name);
+  }
+  return { written, skipped };
+}
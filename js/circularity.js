@@ -0,0 +1,142 @@
+'use strict';
+
+import { CIRCULARITY_DATA_SIZE, calculateCircularityError } from './stick-renderer.js';
+
+/**
+* Stick circularity measurement
+*
+* The stick travel is split in angular bins. Every bin keeps the peak distance
+* reached (what the circularity overlay draws) and the average distance of the
+* samples taken along the rim, so a stick that only touches its gate once in a
+* while can be told from one that sits there.
+*/
+
+export const CIRCULARITY_RESOLUTIONS = [24, 48, 96, 180, 360];
+
+// Samples closer to the center are travel towards the rim, not the rim itself
+const RIM_THRESHOLD = 0.5;
+
+// Regions reported separately, as [name, center angle in degrees, width in degrees].
+// The y axis points down, so 90 degrees is "down".
+const QUADRANTS = [
+  ['down_right', 45, 90],
+  ['down_left', 135, 90],
+  ['up_left', 225, 90],
+  ['up_right', 315, 90],
+];
+const DIAGONALS = [
+  ['down_right', 45, 30],
+  ['down_left', 135, 30],
+  ['up_left', 225, 30],
+  ['up_right', 315, 30],
+];
+
+export class CircularityData {
+  constructor(size = CIRCULARITY_DATA_SIZE) {
+    this.resize(size);
+  }
+
+  resize(size) {
+    this.size = size;
+    this.peak = new Array(size).fill(0);
+    this.sum = new Array(size).fill(0);
+    this.count = new Array(size).fill(0);
+  }
+
+  clear() {
+    this.resize(this.size);
+  }
+
+  add(x, y) {
+    const distance = Math.sqrt(x * x + y * y);
+    const bin = (Math.round(Math.atan2(y, x) * this.size / 2.0 / Math.PI) + this.size) % this.size;
+    this.peak[bin] = Math.max(this.peak[bin], distance);
+    if (distance > RIM_THRESHOLD) {
+      this.sum[bin] += distance;
+      this.count[bin]++;
+    }
+  }
+
+  /**
+  * @returns {number[]} Average rim distance per bin, 0 for bins without rim samples
+  */
+  average() {
+    return this.sum.map((sum, i) => this.count[i] ? sum / this.count[i] : 0);
+  }
+
+  binAngle(bin) {
+    return bin * 360 / this.size;
+  }
+
+  /**
+  * @returns {Object} { resolution, overall, quadrants, diagonals }, each region as returned by region_stats()
+  */
+  getStats() {
+    const average = this.average();
+    const region = (center, width) => {
+      const bins = [];
+      for (let i = 0; i < this.size; i++) {
+        const delta = Math.abs(((this.binAngle(i) - center) % 360 + 540) % 360 - 180);
+        if (delta <= width / 2) bins.push(i);
+      }
+      return region_stats(bins, this.peak, average);
+    };
+
+    return {
+      resolution: this.size,
+      overall: region_stats([...this.peak.keys()], this.peak, average),
+      quadrants: Object.fromEntries(QUADRANTS.map(([name, center, width]) => [name, region(center, width)])),
+      diagonals: Object.fromEntries(DIAGONALS.map(([name, center, width]) => [name, region(center, width)])),
+    };
+  }
+}
+
+/**
+* Statistics of a set of bins. Only bins reached along the rim are taken into account.
+* @returns {Object} { bins, covered, peakMean, averageMean, peakMin, peakMax, error },
+*   error being the RMS deviation of the peaks from a perfect circle, in percent
+*/
+function region_stats(bins, peak, average) {
+  const covered = bins.filter(i => peak[i] > RIM_THRESHOLD);
+  const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  const peaks = covered.map(i => peak[i]);
+
+  return {
+    bins: bins.length,
+    covered: covered.length,
+    peakMean: mean(peaks),
+    averageMean: mean(covered.map(i => average[i])),
+    peakMin: peaks.length ? Math.min(...peaks) : null,
+    peakMax: peaks.length ? Math.max(...peaks) : null,
+    error: peaks.length ? calculateCircularityError(peaks) : null,
+  };
+}
+
+/**
+* Export both sticks as CSV, one row per bin
+* @param {{left: CircularityData, right: CircularityData}} sticks Measurements
+*/
+export function circularity_to_csv(sticks) {
+  const rows = [["stick", "bin", "angle_deg", "peak", "average", "samples"]];
+  for (const [stick, data] of Object.entries(sticks)) {
+    const average = data.average();
+    data.peak.forEach((peak, i) => {
+      rows.push([stick, i, data.binAngle(i).toFixed(2), peak.toFixed(4), average[i].toFixed(4), data.count[i]]);
+    });
+  }
+  return rows.map(row => row.join(",")).join("\n") + "\n";
+}
+
+/**
+* Export both sticks as an object ready for JSON, with per-bin data and statistics
+* @param {{left: CircularityData, right: CircularityData}} sticks Measurements
+*/
+export function circularity_to_json(sticks) {
+  return Object.fromEntries(Object.entries(sticks).map(([stick, data]) => {
+    const average = data.average();
+    return [stick, {
+      ...data.getStats(),
+      bins: data.peak.map((peak, i) => ({ angle: data.binAngle(i), peak, average: average[i], samples: data.count[i] })),
+    }];
+  }));
+}
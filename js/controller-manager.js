@@ -1,17 +1,23 @@
 'use strict';
 
-import { sleep } from './utils.js';
+import { sleep, check_input_crc } from './utils.js';
 
 class ControllerManager {
   constructor(uiDependencies = {}) {
     this.currentController = null;
     this.handleNvStatusUpdate = uiDependencies.handleNvStatusUpdate;
     this.inputHandler = null;
+    this.inputRecorder = null;
 
     this.button_states = {
       sticks: {
         left: { x: 0, y: 0 },
         right: { x: 0, y: 0 }
+      },
+      // Same positions without rounding, updated on every report, for the measurements
+      sticks_raw: {
+        left: { x: 0, y: 0 },
+        right: { x: 0, y: 0 }
       }
     };
 
@@ -37,7 +43,11 @@ class ControllerManager {
   }
 
   getInputConfig() {
-    return this.currentController.getInputConfig();
+    return this.currentController.getActiveInputConfig();
+  }
+
+  isBluetooth() {
+    return this.currentController?.isBluetooth() ?? false;
   }
 
   async getDeviceInfo() {
@@ -56,6 +66,84 @@ class ControllerManager {
     return nv;
   }
 
+  getOutputState() {
+    return this.currentController.getOutputState();
+  }
+
+  getImuCalibration() {
+    return this.currentController.getImuCalibration();
+  }
+
+  async setOutputState(changes) {
+    await this.currentController.setOutputState(changes);
+  }
+
+  async setMotors(left, right) {
+    await this.currentController.setMotors(left, right);
+  }
+
+  async stopMotors() {
+    await this.currentController?.stopMotors();
+  }
+
+  /**
+   * Highest value accepted by the stick fine-tune editor, or null if the model doesn't support it.
+   */
+  getFinetuneMaxValue() {
+    return this.currentController?.finetuneMaxValue ?? null;
+  }
+
+  async readStickCalibration() {
+    return await this.currentController.readStickCalibration();
+  }
+
+  async writeStickCalibration(values) {
+    await this.currentController.writeStickCalibration(values);
+  }
+
+  async readProfiles() {
+    if (!this.currentController.readProfiles) {
+      throw new Error(`Profiles are not supported on ${this.getModel()}`);
+    }
+    return await this.currentController.readProfiles();
+  }
+
+  getCalibrationBlocks() {
+    return this.currentController.getCalibrationBlocks();
+  }
+
+  async nvsLock() {
+    const res = await this.currentController.nvsLock();
+    await this.queryNvStatus();
+    return res;
+  }
+
+  async nvsUnlock() {
+    const res = await this.currentController.nvsUnlock();
+    await this.queryNvStatus();
+    return res;
+  }
+
+  async calibrateSticksBegin() {
+    return await this.currentController.calibrateSticksBegin();
+  }
+
+  async calibrateSticksSample() {
+    return await this.currentController.calibrateSticksSample();
+  }
+
+  async calibrateSticksEnd() {
+    return await this.currentController.calibrateSticksEnd();
+  }
+
+  async calibrateRangeBegin() {
+    return await this.currentController.calibrateRangeBegin();
+  }
+
+  async calibrateRangeEnd() {
+    return await this.currentController.calibrateRangeEnd();
+  }
+
   getModel() {
     if (!this.currentController) return null;
     return this.currentController.getModel();
@@ -69,6 +157,13 @@ class ControllerManager {
     this.inputHandler = callback;
   }
 
+  /**
+   * Passes every raw input report to the recorder, see InputRecorder. Pass null to stop.
+   */
+  setInputRecorder(recorder) {
+    this.inputRecorder = recorder;
+  }
+
   async disconnect() {
     if (this.currentController) {
       await this.currentController.close();
@@ -81,12 +176,18 @@ class ControllerManager {
     current.right.x !== newValues.right.x || current.right.y !== newValues.right.y;
   }
 
-  _recordButtonStates(data, BUTTON_MAP, dpad_byte, l2_analog_byte, r2_analog_byte) {
+  _recordButtonStates(data, BUTTON_MAP, dpad_byte, l2_analog_byte, r2_analog_byte, sticks_offset = 0) {
     const changes = {};
 
-    const [new_lx, new_ly, new_rx, new_ry] = [0, 1, 2, 3]
-      .map(i => data.getUint8(i))
-      .map(v => Math.round((v - 127.5) / 128 * 100) / 100);
+    const [raw_lx, raw_ly, raw_rx, raw_ry] = [0, 1, 2, 3]
+      .map(i => (data.getUint8(sticks_offset + i) - 127.5) / 128);
+    this.button_states.sticks_raw = {
+      left: { x: raw_lx, y: raw_ly },
+      right: { x: raw_rx, y: raw_ry }
+    };
+
+    const [new_lx, new_ly, new_rx, new_ry] = [raw_lx, raw_ly, raw_rx, raw_ry]
+      .map(v => Math.round(v * 100) / 100);
 
     const newSticks = {
       left: { x: new_lx, y: new_ly },
@@ -137,24 +238,47 @@ class ControllerManager {
     return changes;
   }
 
+  /**
+   * Pick the layout (USB or Bluetooth) matching an input report.
+   * Returns null for reports we can't decode, e.g. the reduced Bluetooth report
+   * sent before the pad switches to full reports, or a report with a bad CRC.
+   */
+  _selectInputConfig(reportId, data) {
+    const inputConfig = this.currentController.getActiveInputConfig();
+    if (reportId !== inputConfig.reportId || data.byteLength < inputConfig.reportLength) {
+      return null;
+    }
+    if (inputConfig.hasCrc && !check_input_crc(reportId, data)) {
+      return null;
+    }
+    return inputConfig;
+  }
+
   processControllerInput(inputData) {
-    const { data } = inputData;
+    const { data, reportId } = inputData;
+    this.inputRecorder?.record(reportId, data, performance.now());
+
+    const inputConfig = this._selectInputConfig(reportId, data);
+    if (!inputConfig) return;
 
-    const inputConfig = this.currentController.getInputConfig();
-    const { buttonMap, dpadByte, l2AnalogByte, r2AnalogByte } = inputConfig;
-    const { touchpadOffset } = inputConfig;
+    const { buttonMap, dpadByte, l2AnalogByte, r2AnalogByte, sticksOffset } = inputConfig;
+    const { touchpadOffset, batteryByte, gyroOffset, accelOffset } = inputConfig;
 
-    const changes = this._recordButtonStates(data, buttonMap, dpadByte, l2AnalogByte, r2AnalogByte);
+    const changes = this._recordButtonStates(data, buttonMap, dpadByte, l2AnalogByte, r2AnalogByte, sticksOffset);
+
+    if (gyroOffset !== undefined && accelOffset !== undefined) {
+      Object.assign(changes, this._recordMotionStates(data, gyroOffset, accelOffset));
+    }
 
     if (touchpadOffset) {
       this.touchPoints = this._parseTouchPoints(data, touchpadOffset);
     }
 
-    this.batteryStatus = this._parseBatteryStatus(data);
+    this.batteryStatus = this._parseBatteryStatus(data, batteryByte);
 
     const result = {
       changes,
-      inputConfig: { buttonMap },
+      inputConfig: { buttonMap, touchpadSize: inputConfig.touchpadSize },
       touchPoints: this.touchPoints,
       batteryStatus: this.batteryStatus,
     };
@@ -162,6 +286,24 @@ class ControllerManager {
     this.inputHandler(result);
   }
 
+  /**
+   * Reads the raw gyroscope and accelerometer samples (three signed 16-bit values each)
+   * and stores them, converted to deg/s and g, in button_states.
+   */
+  _recordMotionStates(data, gyro_offset, accel_offset) {
+    const read_xyz = (offset) => {
+      const [x, y, z] = [0, 1, 2].map(i => data.getInt16(offset + i * 2, true));
+      return { x, y, z };
+    };
+
+    const gyro_raw = read_xyz(gyro_offset);
+    const accel_raw = read_xyz(accel_offset);
+    const { gyro, accel } = this.currentController.convertMotion(gyro_raw, accel_raw);
+
+    Object.assign(this.button_states, { gyro_raw, accel_raw, gyro, accel });
+    return { gyro, accel };
+  }
+
   _parseTouchPoints(data, offset) {
     const points = [];
     for (let i = 0; i < 2; i++) {
@@ -179,8 +321,8 @@ class ControllerManager {
     return points;
   }
 
-  _parseBatteryStatus(data) {
-    const batteryInfo = this.currentController.parseBatteryStatus(data);
+  _parseBatteryStatus(data, batteryByte) {
+    const batteryInfo = this.currentController.parseBatteryStatus(data, batteryByte);
     const bat_txt = this._batteryPercentToText(batteryInfo);
 
     const changed = bat_txt !== this._lastBatteryText;
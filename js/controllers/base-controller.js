@@ -1,9 +1,27 @@
 'use strict';
 
+import { crc32 } from '../utils.js';
+import {
+  GYRO_RES_PER_DEG_S,
+  ACCEL_RES_PER_G,
+  decode_imu_calibration,
+  apply_imu_calibration,
+  imu_calibration_info_items,
+} from '../imu-calibration.js';
+
 class BaseController {
   constructor(device) {
     this.device = device;
     this.model = "undefined";
+    this.connectionType = "usb";
+
+    // Everything we drive on the controller (LEDs, motors...), sent as a whole in every output report
+    this.outputState = null;
+    this._outputSending = false;
+    this._outputDirty = false;
+
+    // Factory IMU calibration, see readImuCalibration()
+    this.imuCalibration = null;
   }
 
   getModel() {
@@ -14,10 +32,48 @@ class BaseController {
     return this.device;
   }
 
+  /**
+   * Returns the input report layouts of this model, keyed by connection type.
+   * Each layout names the report id it applies to and the byte offsets of every field.
+   * @returns {{usb: Object, bt: Object}}
+   */
   getInputConfig() {
     throw new Error('getInputConfig() must be implemented by subclass');
   }
 
+  /**
+   * Returns the input report layout for the current connection type.
+   */
+  getActiveInputConfig() {
+    return this.getInputConfig()[this.connectionType];
+  }
+
+  /**
+   * Guess the connection type from the first input report received.
+   * USB pads always send full-size reports with the USB report id; anything else is Bluetooth
+   * (either the reduced 0x01 report or the full Bluetooth report).
+   */
+  detectConnectionType(reportId, reportLength) {
+    const { usb } = this.getInputConfig();
+    return (reportId === usb.reportId && reportLength === usb.reportLength) ? "usb" : "bt";
+  }
+
+  setConnectionType(connectionType) {
+    this.connectionType = connectionType;
+  }
+
+  isBluetooth() {
+    return this.connectionType === "bt";
+  }
+
+  /**
+   * Over Bluetooth the pad starts with a reduced input report, and only switches
+   * to the full one after the calibration feature report has been read.
+   */
+  async enableFullInputReports() {
+    throw new Error('enableFullInputReports() must be implemented by subclass');
+  }
+
   setInputReportHandler(handler) {
     this.device.oninputreport = handler;
   }
@@ -38,6 +94,12 @@ class BaseController {
       data = this.alloc_req(reportId, data);
     }
 
+    if (this.isBluetooth() && data.length >= 4) {
+      // Bluetooth feature reports end with a CRC-32 over the SET_REPORT header, id and payload
+      const crc = crc32(0x53, [reportId, ...data.slice(0, data.length - 4)]);
+      new DataView(data.buffer, data.byteOffset, data.byteLength).setUint32(data.length - 4, crc, true);
+    }
+
     try {
       return await this.device.sendFeatureReport(reportId, data);
     } catch (error) {
@@ -49,8 +111,91 @@ class BaseController {
     return await this.device.receiveFeatureReport(reportId);
   }
 
+  /**
+   * Output state the controller is put in after connecting.
+   * @returns {Object} State understood by buildOutputReport()
+   */
+  getDefaultOutputState() {
+    return {
+      lightbar: { r: 0, g: 0, b: 255 },
+      motors: { left: 0, right: 0 },
+    };
+  }
+
+  /**
+   * Encodes an output state into the model-specific output report.
+   * @returns {{reportId: number, data: Uint8Array}} Report id and payload, CRC bytes left at zero
+   */
+  buildOutputReport(state) {
+    throw new Error('buildOutputReport() must be implemented by subclass');
+  }
+
+  async initializeCurrentOutputState() {
+    this.outputState = this.getDefaultOutputState();
+    await this.sendOutputReport();
+  }
+
+  getOutputState() {
+    return this.outputState;
+  }
+
+  /**
+   * Merges changes into the output state and sends it.
+   * @param {Object} changes Top-level fields of the output state to replace
+   */
+  async setOutputState(changes) {
+    this.outputState = { ...this.outputState, ...changes };
+    await this.sendOutputReport();
+  }
+
+  /**
+   * Drives the rumble motors (DS4) or the voice-coil actuators (DualSense).
+   * @param {number} left Left (strong) motor, 0-255
+   * @param {number} right Right (weak) motor, 0-255
+   */
+  async setMotors(left, right) {
+    await this.setOutputState({ motors: { left, right } });
+  }
+
+  async stopMotors() {
+    if (!this.outputState) return;
+    await this.setMotors(0, 0);
+  }
+
+  /**
+   * Sends the current output state. Calls made while a report is being sent are
+   * coalesced into a single report carrying the latest state.
+   */
+  async sendOutputReport() {
+    if (!this.device?.opened || !this.outputState) return;
+    if (this._outputSending) {
+      this._outputDirty = true;
+      return;
+    }
+
+    this._outputSending = true;
+    try {
+      do {
+        this._outputDirty = false;
+        const { reportId, data } = this.buildOutputReport(this.outputState);
+        if (this.isBluetooth()) {
+          const crc = crc32(0xA2, [reportId, ...data.slice(0, data.length - 4)]);
+          new DataView(data.buffer).setUint32(data.length - 4, crc, true);
+        }
+        await this.device.sendReport(reportId, data);
+      } while (this._outputDirty);
+    } finally {
+      this._outputSending = false;
+    }
+  }
+
   async close() {
     if (this.device?.opened) {
+      try {
+        await this.stopMotors();
+      } catch (error) {
+        console.error("Failed to stop the motors before closing", error);
+      }
       await this.device.close();
     }
   }
@@ -59,7 +204,111 @@ class BaseController {
     throw new Error('getInfo() must be implemented by subclass');
   }
 
-  parseBatteryStatus(data) {
+  /**
+   * Calibration blocks that can be backed up, as a list of { name, read, write }.
+   * `read` resolves to a JSON-serializable value which `write` accepts back;
+   * blocks without `write` are read-only and can only be backed up.
+   */
+  getCalibrationBlocks() {
+    throw new Error('getCalibrationBlocks() must be implemented by subclass');
+  }
+
+  /**
+   * Locks the non-volatile storage: calibration changes are kept in RAM only (temporary).
+   * Resolves to { ok: true } or { ok: false, error }.
+   */
+  async nvsLock() {
+    throw new Error('nvsLock() must be implemented by subclass');
+  }
+
+  /**
+   * Unlocks the non-volatile storage: calibration changes are written permanently.
+   * Resolves to { ok: true } or { ok: false, error }.
+   */
+  async nvsUnlock() {
+    throw new Error('nvsUnlock() must be implemented by subclass');
+  }
+
+  /**
+   * Stick calibration commands. Each resolves to { ok: true } or
+   * { ok: false, error, code } and never throws, so the UI can report the failing step.
+   */
+  async calibrateSticksBegin() {
+    throw new Error('calibrateSticksBegin() must be implemented by subclass');
+  }
+
+  async calibrateSticksSample() {
+    throw new Error('calibrateSticksSample() must be implemented by subclass');
+  }
+
+  async calibrateSticksEnd() {
+    throw new Error('calibrateSticksEnd() must be implemented by subclass');
+  }
+
+  async calibrateRangeBegin() {
+    throw new Error('calibrateRangeBegin() must be implemented by subclass');
+  }
+
+  async calibrateRangeEnd() {
+    throw new Error('calibrateRangeEnd() must be implemented by subclass');
+  }
+
+  /**
+   * Reads the feature report holding the factory IMU calibration.
+   * @returns {Promise<DataView>} Report, including the report id at offset 0
+   */
+  async readImuCalibrationReport() {
+    throw new Error('readImuCalibrationReport() must be implemented by subclass');
+  }
+
+  /**
+   * Order of the gyro readings in the IMU calibration report, see decode_imu_calibration()
+   */
+  getImuGyroLayout() {
+    return 'interleaved';
+  }
+
+  /**
+   * Reads and decodes the factory IMU calibration, then uses it in convertMotion().
+   * @returns {Promise<Object>} Decoded calibration
+   */
+  async readImuCalibration() {
+    const view = await this.readImuCalibrationReport();
+    this.imuCalibration = decode_imu_calibration(view, this.getImuGyroLayout());
+    return this.imuCalibration;
+  }
+
+  getImuCalibration() {
+    return this.imuCalibration;
+  }
+
+  /**
+   * Reads the IMU calibration and describes it for the info panel.
+   * Never throws: a failed read is reported as an item.
+   */
+  async getImuCalibrationInfoItems() {
+    try {
+      return imu_calibration_info_items(await this.readImuCalibration());
+    } catch (error) {
+      console.error("Failed to read the IMU calibration", error);
+      return [{ id: 'imu_calib', key: 'IMU Calibration', value: 'Unavailable (nominal values used)', cat: 'imu', warning: true }];
+    }
+  }
+
+  /**
+   * Converts raw IMU samples to physical units, using the factory calibration once it has been read.
+   * @param {{x: number, y: number, z: number}} gyro Raw gyroscope sample (pitch, yaw, roll)
+   * @param {{x: number, y: number, z: number}} accel Raw accelerometer sample
+   * @returns {{gyro: Object, accel: Object}} Angular velocity in deg/s and acceleration in g
+   */
+  convertMotion(gyro, accel) {
+    return {
+      gyro: apply_imu_calibration(gyro, this.imuCalibration?.gyro, GYRO_RES_PER_DEG_S),
+      accel: apply_imu_calibration(accel, this.imuCalibration?.accel, ACCEL_RES_PER_G),
+    };
+  }
+
+  parseBatteryStatus(data, batteryByte) {
     throw new Error('parseBatteryStatus() must be implemented by subclass');
   }
 }
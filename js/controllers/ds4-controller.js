@@ -6,7 +6,8 @@ import {
   buf2hex,
   dec2hex,
   dec2hex32,
-  format_mac_from_view
+  format_mac_from_view,
+  offset_button_map,
 } from '../utils.js';
 
 const DS4_BUTTON_MAP = [
@@ -30,14 +31,66 @@ const DS4_BUTTON_MAP = [
   { name: 'touchpad', byte: 6, mask: 0x02, svg: 'Trackpad' },
 ];
 
-const DS4_INPUT_CONFIG = {
+const DS4_USB_INPUT_CONFIG = {
+  reportId: 0x01,
+  reportLength: 63,
   buttonMap: DS4_BUTTON_MAP,
+  sticksOffset: 0,
   dpadByte: 4,
   l2AnalogByte: 7,
   r2AnalogByte: 8,
   touchpadOffset: 34,
+  touchpadSize: { width: 1920, height: 943 },
+  batteryByte: 29,
+  gyroOffset: 12,
+  accelOffset: 18,
+  hasCrc: false,
+};
+
+// Bluetooth report 0x11 has two extra header bytes and ends with a CRC-32
+const DS4_BT_INPUT_CONFIG = {
+  reportId: 0x11,
+  reportLength: 77,
+  buttonMap: offset_button_map(DS4_BUTTON_MAP, 2),
+  sticksOffset: 2,
+  dpadByte: 6,
+  l2AnalogByte: 9,
+  r2AnalogByte: 10,
+  touchpadOffset: 36,
+  touchpadSize: { width: 1920, height: 943 },
+  batteryByte: 31,
+  gyroOffset: 14,
+  accelOffset: 20,
+  hasCrc: true,
+};
+
+const DS4_INPUT_CONFIG = {
+  usb: DS4_USB_INPUT_CONFIG,
+  bt: DS4_BT_INPUT_CONFIG,
 };
 
+function ds4_hw_to_bm(hw_ver) {
+  const a = hw_ver >> 8;
+  if(a == 0x31) {
+    return "JDM-001";
+  } else if(a == 0x43) {
+    return "JDM-011";
+  } else if(a == 0x54) {
+    return "JDM-030";
+  } else if(a >= 0x64 && a <= 0x74) {
+    return "JDM-040";
+  } else if((a > 0x80 && a < 0x84) || a == 0x93) {
+    return "JDM-020";
+  } else if(a == 0xa4 || a == 0x90 || a == 0xa0) {
+    return "JDM-050";
+  } else if(a == 0xb0) {
+    return "JDM-055 (Scuf?)";
+  } else if(a == 0xb4) {
+    return "JDM-055";
+  }
+  return "Unknown";
+}
+
 class DS4Controller extends BaseController {
   constructor(device) {
     super(device);
@@ -48,12 +101,37 @@ class DS4Controller extends BaseController {
     return DS4_INPUT_CONFIG;
   }
 
+  async enableFullInputReports() {
+    // Reading the calibration report switches the pad to report 0x11
+    await this.readImuCalibration();
+  }
+
+  async readImuCalibrationReport() {
+    return await this.receiveFeatureReport(this.isBluetooth() ? 0x05 : 0x02);
+  }
+
+  getImuGyroLayout() {
+    return this.isBluetooth() ? 'grouped' : 'interleaved';
+  }
+
+  getCalibrationBlocks() {
+    return [
+      { name: 'imu', read: async () => buf2hex((await this.readImuCalibrationReport()).buffer) },
+    ];
+  }
+
   async getInfo() {
     try {
       const view = await this.receiveFeatureReport(0xa3);
       const is_clone = view.buffer.byteLength < 49;
 
-      const infoItems = [];
+      const infoItems = is_clone
+        ? [{ id: 'clone', key: 'Warning', value: 'Clone device: the 0xa3 report is truncated', cat: 'hw' }]
+        : this._parseVersionReport(view);
+
+      infoItems.push({ id: 'bdaddr', key: 'Bluetooth Address', value: await this.getBdAddr(), cat: 'hw' });
+      infoItems.push(...await this.getImuCalibrationInfoItems());
+
       const nv = await this.queryNvStatus();
       const disable_bits = is_clone ? 1 : 0;
 
@@ -63,6 +141,35 @@ class DS4Controller extends BaseController {
     }
   }
 
+  /**
+   * Decodes the 0xa3 report: firmware build date, hardware and software versions.
+   */
+  _parseVersionReport(view) {
+    const decode = (start, end) => new TextDecoder().decode(view.buffer.slice(start, end)).replace(/\0/g, '');
+    const build_date = decode(1, 0x10);
+    const build_time = decode(0x10, 0x20);
+    const hw_ver_major = view.getUint16(0x21, true);
+    const hw_ver_minor = view.getUint16(0x23, true);
+    const sw_ver_major = view.getUint32(0x25, true);
+    const sw_ver_minor = view.getUint16(0x25 + 4, true);
+
+    return [
+      { id: 'build', key: 'Build Date', value: `${build_date} ${build_time}`, cat: 'fw' },
+      { id: 'hw_version', key: 'HW Version', value: `${dec2hex(hw_ver_major)}:${dec2hex(hw_ver_minor)}`, cat: 'hw' },
+      { id: 'sw_version', key: 'SW Version', value: `${dec2hex32(sw_ver_major)}:${dec2hex(sw_ver_minor)}`, cat: 'fw' },
+      { id: 'board_model', key: 'Board Model', value: ds4_hw_to_bm(hw_ver_minor), cat: 'hw' },
+    ];
+  }
+
+  async getBdAddr() {
+    try {
+      const data = await this.receiveFeatureReport(0x12);
+      return format_mac_from_view(data, 1);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
   async queryNvStatus() {
     try {
       await this.sendFeatureReport(0x08, [0xff,0, 12]);
@@ -82,8 +189,89 @@ class DS4Controller extends BaseController {
     }
   }
 
-  parseBatteryStatus(data) {
-    const bat = data.getUint8(29);
+  async nvsLock() {
+    try {
+      await this.sendFeatureReport(0xa0, [10,1,0]);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error };
+    }
+  }
+
+  async nvsUnlock() {
+    try {
+      await this.sendFeatureReport(0xa0, [10,2,0x3e,0x71,0x7f,0x89]);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error };
+    }
+  }
+
+  async calibrateSticksBegin() {
+    return await this._sendCalibrationCommand([1,1,1], 0x91010101, 0x920101ff);
+  }
+
+  async calibrateSticksSample() {
+    return await this._sendCalibrationCommand([3,1,1], 0x91010101, 0x920101ff);
+  }
+
+  async calibrateSticksEnd() {
+    return await this._sendCalibrationCommand([2,1,1], 0x91010102, 0x92010101);
+  }
+
+  async calibrateRangeBegin() {
+    return await this._sendCalibrationCommand([1,1,2], 0x91010201, 0x920102ff);
+  }
+
+  async calibrateRangeEnd() {
+    return await this._sendCalibrationCommand([2,1,2], 0x91010202, 0x92010201);
+  }
+
+  /**
+   * Sends a calibration command through report 0x90 and checks the
+   * status reports 0x91 and 0x92 against the expected values.
+   */
+  async _sendCalibrationCommand(args, expected91, expected92) {
+    try {
+      await this.sendFeatureReport(0x90, args);
+      await sleep(200);
+
+      const data = await this.receiveFeatureReport(0x91);
+      const data2 = await this.receiveFeatureReport(0x92);
+      const [d1, d2] = [data, data2].map(view => view.getUint32(0, false));
+      if (d1 !== expected91 || d2 !== expected92) {
+        return { ok: false, error: new Error(`Calibration command failed: ${dec2hex32(d1)} ${dec2hex32(d2)}`), code: 1 };
+      }
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error, code: 2 };
+    }
+  }
+
+  /**
+   * Output report 0x05 (USB) or 0x11 (Bluetooth, with a two-byte header).
+   */
+  buildOutputReport({ lightbar, motors }) {
+    const bt = this.isBluetooth();
+    const data = new Uint8Array(bt ? 77 : 31);
+    const base = bt ? 2 : 0;
+    if (bt) {
+      data[0] = 0xc0; // HID + CRC32
+      data[1] = 0x00;
+    }
+
+    data[base + 0] = 0x01 | 0x02; // Motors and lightbar valid
+    data[base + 3] = motors.right;
+    data[base + 4] = motors.left;
+    data[base + 5] = lightbar.r;
+    data[base + 6] = lightbar.g;
+    data[base + 7] = lightbar.b;
+
+    return { reportId: bt ? 0x11 : 0x05, data };
+  }
+
+  parseBatteryStatus(data, batteryByte = DS4_USB_INPUT_CONFIG.batteryByte) {
+    const bat = data.getUint8(batteryByte);
     const bat_data = bat & 0x0f;
     const bat_status = (bat >> 4) & 1;
     const cable_connected = bat_status === 1;
@@ -9,7 +9,9 @@ import {
   dec2hex8,
   format_mac_from_view,
   reverse_str,
+  offset_button_map,
 } from '../utils.js';
+import { encode_trigger_effect } from '../trigger-effects.js';
 
 const DS5_BUTTON_MAP = [
   { name: 'up', byte: 7, mask: 0x0 },
@@ -33,24 +35,131 @@ const DS5_BUTTON_MAP = [
   { name: 'mute', byte: 9, mask: 0x04, svg: 'Mute' },
 ];
 
-const DS5_INPUT_CONFIG = {
+const DS5_USB_INPUT_CONFIG = {
+  reportId: 0x01,
+  reportLength: 63,
   buttonMap: DS5_BUTTON_MAP,
+  sticksOffset: 0,
   dpadByte: 7,
   l2AnalogByte: 4,
   r2AnalogByte: 5,
   touchpadOffset: 32,
+  touchpadSize: { width: 1920, height: 1080 },
+  batteryByte: 52,
+  gyroOffset: 15,
+  accelOffset: 21,
+  hasCrc: false,
 };
 
+// Bluetooth report 0x31 starts with a sequence byte and ends with a CRC-32
+const DS5_BT_INPUT_CONFIG = {
+  reportId: 0x31,
+  reportLength: 77,
+  buttonMap: offset_button_map(DS5_BUTTON_MAP, 1),
+  sticksOffset: 1,
+  dpadByte: 8,
+  l2AnalogByte: 5,
+  r2AnalogByte: 6,
+  touchpadOffset: 33,
+  touchpadSize: { width: 1920, height: 1080 },
+  batteryByte: 53,
+  gyroOffset: 16,
+  accelOffset: 22,
+  hasCrc: true,
+};
+
+const DS5_MUTE_LED_MODES = { off: 0, on: 1, pulse: 2 };
+
+export const DS5_INPUT_CONFIG = {
+  usb: DS5_USB_INPUT_CONFIG,
+  bt: DS5_BT_INPUT_CONFIG,
+};
+
+function ds5_hw_to_bm(hw_ver) {
+  const a = (hw_ver >> 8) & 0xff;
+  if(a == 0x03) {
+    return "BDM-010";
+  } else if(a == 0x04) {
+    return "BDM-020";
+  } else if(a == 0x05) {
+    return "BDM-030";
+  } else if(a == 0x06) {
+    return "BDM-040";
+  } else if(a == 0x07 || a == 0x08) {
+    return "BDM-050";
+  }
+  return "Unknown";
+}
+
 class DS5Controller extends BaseController {
   constructor(device) {
     super(device);
     this.model = "DS5";
+    // Sub-commands of command 12 (stick calibration) on report 0x80
+    this.stickCalibrationReadCommand = 2;
+    this.stickCalibrationWriteCommand = 1;
+    this.outputSequence = 0;
   }
 
   getInputConfig() {
     return DS5_INPUT_CONFIG;
   }
 
+  async enableFullInputReports() {
+    // Reading the calibration report switches the pad to report 0x31
+    await this.readImuCalibration();
+  }
+
+  async readImuCalibrationReport() {
+    return await this.receiveFeatureReport(0x05);
+  }
+
+  getCalibrationBlocks() {
+    return [
+      {
+        name: 'sticks',
+        read: () => this.readStickCalibration(),
+        write: (values) => this.writeStickCalibration(values),
+      },
+      { name: 'imu', read: async () => buf2hex((await this.readImuCalibrationReport()).buffer) },
+    ];
+  }
+
+  /**
+   * Reads the stick calibration currently in use (center and range of both sticks).
+   * @returns {Promise<number[]>} 12 unsigned 16-bit values
+   */
+  async readStickCalibration() {
+    const sub_cmd = this.stickCalibrationReadCommand;
+    await this.sendFeatureReport(0x80, [12, sub_cmd]);
+    await sleep(100);
+    const data = await this.receiveFeatureReport(0x81);
+    const [cmd, p1, p2, p3] = [0, 1, 2, 3].map(i => data.getUint8(i));
+    if (cmd != 0x81 || p1 != 12 || p2 != sub_cmd || p3 != 2) {
+      throw new Error(`Invalid stick calibration response: ${buf2hex(data.buffer.slice(0, 4))}`);
+    }
+    return Array.from({ length: 12 }, (_, i) => data.getUint16(4 + i * 2, true));
+  }
+
+  /**
+   * Writes the stick calibration. It is kept until power-off unless the NVS is unlocked.
+   * @param {number[]} values 12 unsigned 16-bit values, as returned by readStickCalibration()
+   */
+  async writeStickCalibration(values) {
+    if (!Array.isArray(values)) {
+      throw new Error("Invalid stick calibration: expected a list of 12 values");
+    }
+    if (values.length !== 12) {
+      throw new Error(`Invalid stick calibration: expected 12 values, got ${values.length}`);
+    }
+    const invalid = values.find(val => !Number.isInteger(val) || val < 0 || val > 0xffff);
+    if (invalid !== undefined) {
+      throw new Error(`Invalid stick calibration: ${typeof invalid === 'string' ? `"${invalid}"` : invalid} is not a 16-bit unsigned integer`);
+    }
+    const pkg = values.reduce((acc, val) => acc.concat([val & 0xff, val >> 8]), [12, this.stickCalibrationWriteCommand]);
+    await this.sendFeatureReport(0x80, pkg);
+  }
+
   async getInfo() {
     return this._getInfo(false);
   }
@@ -62,7 +171,41 @@ class DS5Controller extends BaseController {
       if(cmd != 0x20 || view.buffer.byteLength != 64)
         return { ok: false, error: new Error("Invalid response for ds5_info") };
 
-      const infoItems = [];
+      const decode = (start, end) => new TextDecoder().decode(view.buffer.slice(start, end));
+      const build_date = decode(1, 1 + 11);
+      const build_time = decode(12, 20);
+      const fwtype = view.getUint16(20, true);
+      const swseries = view.getUint16(22, true);
+      const hwinfo = view.getUint32(24, true);
+      const fwversion = view.getUint32(28, true);
+      const updversion = view.getUint16(44, true);
+      const sbl_fw_version = view.getUint32(48, true);
+      const venom_fw_version = view.getUint32(52, true);
+      const spider_dsp_fw_version = view.getUint32(56, true);
+
+      const pcba_id = await this.getSystemInfo(1, 17, 14);
+
+      const infoItems = [
+        { id: 'serial', key: 'Serial Number', value: await this.getSystemInfo(1, 19, 17), cat: 'hw' },
+        { id: 'mcu_id', key: 'MCU Unique ID', value: await this.getSystemInfo(1, 9, 9, false), cat: 'hw', isExtra: true },
+        { id: 'pcba_id', key: 'PCBA ID', value: pcba_id === "error" ? pcba_id : reverse_str(pcba_id), cat: 'hw' },
+        { id: 'battery_barcode', key: 'Battery Barcode', value: await this.getSystemInfo(1, 24, 23), cat: 'hw' },
+        { id: 'vcm_left', key: 'VCM Left Barcode', value: await this.getSystemInfo(1, 26, 16), cat: 'hw', isExtra: true },
+        { id: 'vcm_right', key: 'VCM Right Barcode', value: await this.getSystemInfo(1, 28, 16), cat: 'hw', isExtra: true },
+        { id: 'board_model', key: 'Board Model', value: ds5_hw_to_bm(hwinfo), cat: 'hw' },
+        { id: 'hw_info', key: 'HW Info', value: '0x' + dec2hex32(hwinfo), cat: 'hw' },
+        { id: 'bdaddr', key: 'Bluetooth Address', value: await this.getBdAddr(), cat: 'hw' },
+        { id: 'build', key: 'Build Time', value: `${build_date} ${build_time}`, cat: 'fw' },
+        { id: 'fw_type', key: 'Firmware Type', value: '0x' + dec2hex(fwtype), cat: 'fw', isExtra: true },
+        { id: 'sw_series', key: 'SW Series', value: '0x' + dec2hex(swseries), cat: 'fw', isExtra: true },
+        { id: 'fw_version', key: 'FW Version', value: '0x' + dec2hex32(fwversion), cat: 'fw' },
+        { id: 'upd_version', key: 'UPD Version', value: '0x' + dec2hex(updversion), cat: 'fw', isExtra: true },
+        { id: 'sbl_fw_version', key: 'SBL FW Version', value: '0x' + dec2hex32(sbl_fw_version), cat: 'fw', isExtra: true },
+        { id: 'venom_fw_version', key: 'Venom FW Version', value: '0x' + dec2hex32(venom_fw_version), cat: 'fw', isExtra: true },
+        { id: 'spider_fw_version', key: 'Spider DSP FW Version', value: '0x' + dec2hex32(spider_dsp_fw_version), cat: 'fw', isExtra: true },
+        ...await this.getImuCalibrationInfoItems(),
+      ];
+
       const nv = await this.queryNvStatus();
       const pending_reboot = (nv?.status === 'pending_reboot');
 
@@ -84,6 +227,16 @@ class DS5Controller extends BaseController {
     return buf2hex(pcba_id.buffer.slice(4, 4+length));
   }
 
+  async getBdAddr() {
+    try {
+      await this.sendFeatureReport(0x80, [9,2]);
+      const data = await this.receiveFeatureReport(0x81);
+      return format_mac_from_view(data, 4);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
   async queryNvStatus() {
     try {
       await this.sendFeatureReport(0x80, [3,3]);
@@ -107,8 +260,124 @@ class DS5Controller extends BaseController {
     }
   }
 
-  parseBatteryStatus(data) {
-    const bat = data.getUint8(52);
+  async nvsLock() {
+    return await this._sendNvsCommand([3,1]);
+  }
+
+  async nvsUnlock() {
+    return await this._sendNvsCommand([3,2,101,50,64,12]);
+  }
+
+  /**
+   * Sends a NVS command through report 0x80 and checks the status report 0x83, which
+   * echoes the command and sub command followed by the status: 2 once done, as in 0x81.
+   * @returns {Promise<Object>} { ok }, with the error and the raw reply (hex) on failure
+   */
+  async _sendNvsCommand(args) {
+    try {
+      await this.sendFeatureReport(0x80, args);
+      const data = await this.receiveFeatureReport(0x83);
+      const [, cmd, sub, status] = new Uint8Array(data.buffer, data.byteOffset, 4);
+      if (cmd !== args[0] || sub !== args[1] || status !== 2) {
+        const error = new Error(`NVS command refused: ${dec2hex32(data.getUint32(0, false))}`);
+        return { ok: false, error, reply: buf2hex(data.buffer) };
+      }
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error };
+    }
+  }
+
+  async calibrateSticksBegin() {
+    return await this._sendCalibrationCommand([1,1,1], 0x83010101);
+  }
+
+  async calibrateSticksSample() {
+    return await this._sendCalibrationCommand([3,1,1], 0x83010101);
+  }
+
+  async calibrateSticksEnd() {
+    return await this._sendCalibrationCommand([2,1,1], 0x83010102);
+  }
+
+  async calibrateRangeBegin() {
+    return await this._sendCalibrationCommand([1,1,2], 0x83010201);
+  }
+
+  async calibrateRangeEnd() {
+    return await this._sendCalibrationCommand([2,1,2], 0x83010202);
+  }
+
+  /**
+   * Sends a calibration command through report 0x82 and checks the status report 0x83.
+   */
+  async _sendCalibrationCommand(args, expected) {
+    try {
+      await this.sendFeatureReport(0x82, args);
+      await sleep(200);
+
+      const data = await this.receiveFeatureReport(0x83);
+      const ret = data.getUint32(0, false);
+      if (ret !== expected) {
+        return { ok: false, error: new Error(`Calibration command failed: ${dec2hex32(ret)}`), code: 1 };
+      }
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error, code: 2 };
+    }
+  }
+
+  getDefaultOutputState() {
+    return {
+      ...super.getDefaultOutputState(),
+      playerLeds: 0,
+      muteLed: 'off',
+      lightbarSetup: false,
+      triggers: { left: { mode: 'off' }, right: { mode: 'off' } },
+    };
+  }
+
+  async initializeCurrentOutputState() {
+    // Fade out the blue startup animation first, otherwise it overrides the lightbar color
+    this.outputState = { ...this.getDefaultOutputState(), lightbarSetup: true };
+    await this.sendOutputReport();
+    this.outputState.lightbarSetup = false;
+    await this.sendOutputReport();
+  }
+
+  /**
+   * Output report 0x02 (USB) or 0x31 (Bluetooth, with a sequence/tag header).
+   * They are 63 and 78 bytes long including the report id, which sendReport() adds.
+   */
+  buildOutputReport({ lightbar, motors, playerLeds, muteLed, lightbarSetup, triggers }) {
+    const bt = this.isBluetooth();
+    const data = new Uint8Array(bt ? 77 : 62);
+    const base = bt ? 2 : 0;
+    if (bt) {
+      data[0] = (this.outputSequence << 4);
+      data[1] = 0x10; // Output tag
+      this.outputSequence = (this.outputSequence + 1) & 0x0f;
+    }
+
+    data[base + 0] = 0x01 | 0x02 | 0x04 | 0x08; // Compatible vibration, haptics select, right and left trigger effects
+    data[base + 1] = 0x01 | 0x04 | 0x10; // Mute LED, lightbar and player LEDs valid
+    data[base + 2] = motors.right;
+    data[base + 3] = motors.left;
+    data[base + 8] = DS5_MUTE_LED_MODES[muteLed] ?? 0;
+    data.set(encode_trigger_effect(triggers.right), base + 10);
+    data.set(encode_trigger_effect(triggers.left), base + 21);
+    data[base + 38] = lightbarSetup ? 0x02 : 0x00; // Lightbar setup valid
+    data[base + 41] = lightbarSetup ? 0x02 : 0x00; // Light out
+    data[base + 43] = (playerLeds & 0x1f) | 0x20; // Instant, no fade
+    data[base + 44] = lightbar.r;
+    data[base + 45] = lightbar.g;
+    data[base + 46] = lightbar.b;
+
+    return { reportId: bt ? 0x31 : 0x02, data };
+  }
+
+  parseBatteryStatus(data, batteryByte = DS5_USB_INPUT_CONFIG.batteryByte) {
+    const bat = data.getUint8(batteryByte);
     const bat_charge = bat & 0x0f;
     const bat_status = bat >> 4;
 
@@ -1,19 +1,139 @@
 'use strict';
 
-import DS5Controller from './ds5-controller.js';
-import { sleep, dec2hex32 } from '../utils.js';
+import DS5Controller, { DS5_INPUT_CONFIG } from './ds5-controller.js';
+import { sleep, dec2hex32, buf2hex, offset_button_map } from '../utils.js';
+
+// Fn buttons and back paddles share the byte of the PS, touchpad and mute buttons
+const DS5_EDGE_EXTRA_BUTTONS = [
+  { name: 'fn_left', byte: 9, mask: 0x10, svg: 'Fn_left' },
+  { name: 'fn_right', byte: 9, mask: 0x20, svg: 'Fn_right' },
+  { name: 'paddle_left', byte: 9, mask: 0x40, svg: 'Paddle_left' },
+  { name: 'paddle_right', byte: 9, mask: 0x80, svg: 'Paddle_right' },
+];
+
+const DS5_EDGE_INPUT_CONFIG = {
+  usb: {
+    ...DS5_INPUT_CONFIG.usb,
+    buttonMap: [...DS5_INPUT_CONFIG.usb.buttonMap, ...DS5_EDGE_EXTRA_BUTTONS],
+  },
+  bt: {
+    ...DS5_INPUT_CONFIG.bt,
+    buttonMap: [...DS5_INPUT_CONFIG.bt.buttonMap, ...offset_button_map(DS5_EDGE_EXTRA_BUTTONS, 1)],
+  },
+};
+
+// Each stored profile spans three consecutive feature reports, starting at 0x70
+const PROFILE_FIRST_REPORT = 0x70;
+const PROFILE_PARTS = 3;
+const PROFILE_SLOTS = ["Default", "Profile 1", "Profile 2", "Profile 3"];
+
+// Each part is: report id, part index, payload, CRC-32
+const PROFILE_PART_HEADER = 2;
+const PROFILE_PART_CRC = 4;
+
+// Layout of the concatenated profile payload. The name is reliable; the other
+// offsets come from community captures, so the raw bytes are kept alongside them.
+const PROFILE_LAYOUT = {
+  name: { offset: 0x00, length: 0x50 },
+  leftStick: { curve: 0x60, points: 0x61, deadzone: 0x67 },
+  rightStick: { curve: 0x68, points: 0x69, deadzone: 0x6f },
+  leftTrigger: { min: 0x70, max: 0x71 },
+  rightTrigger: { min: 0x72, max: 0x73 },
+  buttonMap: { offset: 0x74, length: 16 },
+};
+
+const STICK_CURVES = ["Default", "Quick", "Precise", "Steady", "Digital", "Dynamic"];
+
+// Physical buttons in the order used by the remap table
+const PROFILE_BUTTONS = [
+  'up', 'left', 'down', 'right', 'square', 'cross', 'circle', 'triangle',
+  'r1', 'r2', 'r3', 'l1', 'l2', 'l3', 'paddle_left', 'paddle_right',
+];
 
 class DS5EdgeController extends DS5Controller {
   constructor(device) {
     super(device);
     this.model = "DS5_Edge";
     this.finetuneMaxValue = 4095;
+    // The Edge reads its calibration with sub-command 4 but writes it with sub-command 1,
+    // like the DualSense: this is what the fine-tuning of the full DualShock Tools sends to
+    // the Edge. It was not checked on hardware here, the mock only mirrors it.
+    this.stickCalibrationReadCommand = 4;
+    this.stickCalibrationWriteCommand = 1;
+  }
+
+  getInputConfig() {
+    return DS5_EDGE_INPUT_CONFIG;
   }
 
   async getInfo() {
     const result = await this._getInfo(true);
     return result;
   }
+
+  /**
+   * Reads the profiles stored in the controller.
+   * @returns {Promise<Object[]>} One entry per slot, with `empty` set for unused slots
+   */
+  async readProfiles() {
+    const profiles = [];
+    for (let slot = 0; slot < PROFILE_SLOTS.length; slot++) {
+      const parts = [];
+      for (let part = 0; part < PROFILE_PARTS; part++) {
+        const view = await this.receiveFeatureReport(PROFILE_FIRST_REPORT + slot * PROFILE_PARTS + part);
+        parts.push(new Uint8Array(view.buffer.slice(PROFILE_PART_HEADER, view.byteLength - PROFILE_PART_CRC)));
+        await sleep(10);
+      }
+
+      const data = new Uint8Array(parts.reduce((len, p) => len + p.length, 0));
+      parts.reduce((offset, p) => { data.set(p, offset); return offset + p.length; }, 0);
+      profiles.push(parse_edge_profile(PROFILE_SLOTS[slot], data));
+    }
+    return profiles;
+  }
+}
+
+function parse_stick(view, { curve, points, deadzone }) {
+  return {
+    curve: STICK_CURVES[view.getUint8(curve)] ?? `0x${view.getUint8(curve).toString(16)}`,
+    points: Array.from({ length: 6 }, (_, i) => view.getUint8(points + i)),
+    deadzone: view.getUint8(deadzone),
+  };
+}
+
+/**
+ * Decodes a profile payload.
+ */
+function parse_edge_profile(slot, data) {
+  const view = new DataView(data.buffer);
+  const { name: nameField, buttonMap } = PROFILE_LAYOUT;
+
+  const name = new TextDecoder('utf-16le')
+    .decode(data.slice(nameField.offset, nameField.offset + nameField.length))
+    .replace(/\0.*$/s, '');
+  if (!name && data.every(b => b === 0 || b === 0xff)) {
+    return { slot, empty: true };
+  }
+
+  const remap = {};
+  PROFILE_BUTTONS.forEach((button, i) => {
+    const target = PROFILE_BUTTONS[data[buttonMap.offset + i]];
+    if (target && target !== button) {
+      remap[button] = target;
+    }
+  });
+
+  return {
+    slot,
+    empty: false,
+    name,
+    leftStick: parse_stick(view, PROFILE_LAYOUT.leftStick),
+    rightStick: parse_stick(view, PROFILE_LAYOUT.rightStick),
+    leftTrigger: { min: data[PROFILE_LAYOUT.leftTrigger.min], max: data[PROFILE_LAYOUT.leftTrigger.max] },
+    rightTrigger: { min: data[PROFILE_LAYOUT.rightTrigger.min], max: data[PROFILE_LAYOUT.rightTrigger.max] },
+    remap,
+    raw: buf2hex(data.buffer),
+  };
 }
 
-export default DS5EdgeController;
\ No newline at end of file
+export default DS5EdgeController;
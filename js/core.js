@@ -1,9 +1,34 @@
 'use strict';
 
-import { sleep, float_to_str, dec2hex, lerp_color } from './utils.js';
+import { sleep, float_to_str, dec2hex, lerp_color, download_file, hex2rgb, rgb2hex } from './utils.js';
 import { initControllerManager } from './controller-manager.js';
 import ControllerFactory from './controllers/controller-factory.js';
-import { draw_stick_position, CIRCULARITY_DATA_SIZE } from './stick-renderer.js';
+import { draw_stick_position, draw_stick_scatter, CIRCULARITY_DATA_SIZE } from './stick-renderer.js';
+import { CircularityData, CIRCULARITY_RESOLUTIONS, circularity_to_csv, circularity_to_json } from './circularity.js';
+import { calibrate_stick_centering } from './modals/calib-center-modal.js';
+import { calibrate_range } from './modals/calib-range-modal.js';
+import { finetune_sticks } from './modals/finetune-modal.js';
+import { RumblePlayer } from './rumble-player.js';
+import { TRIGGER_EFFECT_MODES, default_trigger_effect } from './trigger-effects.js';
+import { SampleHistory, draw_time_series, draw_histogram, draw_battery_history } from './plot-renderer.js';
+import { MotionTracker } from './motion-tracker.js';
+import { draw_orientation } from './orientation-renderer.js';
+import { TouchpadTest } from './touchpad-test.js';
+import { draw_touchpad_test } from './touchpad-renderer.js';
+import { ButtonTest } from './button-test.js';
+import { TriggerAnalysis } from './trigger-analysis.js';
+import { DriftTest } from './drift-test.js';
+import { SnapbackTest } from './snapback-test.js';
+import { InputRecorder, ReplayDevice, RecordingPlayer, parse_recording } from './input-recorder.js';
+import { MockHidDevice, MOCK_PROFILES } from './mock-hid-device.js';
+import { create_diagnostic_report, diagnostic_report_to_html } from './diagnostic-report.js';
+import { BatteryHistory, BATTERY_GAP_MS } from './battery-history.js';
+import {
+  create_calibration_backup,
+  parse_calibration_backup,
+  check_calibration_backup,
+  restore_calibration_backup,
+} from './calibration-backup.js';
 
 // Application State - manages app-wide state and UI
 const app = {
@@ -12,13 +37,37 @@ const app = {
   last_disable_btn: 0,
 
   shownRangeCalibrationWarning: false,
+
+  // Number of angular bins of the circularity measurement
+  circularityResolution: CIRCULARITY_DATA_SIZE,
 };
 
-const ll_data = new Array(CIRCULARITY_DATA_SIZE);
-const rr_data = new Array(CIRCULARITY_DATA_SIZE);
+// One session per connected HID device, each with its own ControllerManager
+// and per-device state (circularity buffers, battery).
+const sessions = [];
+const pending_sessions = [];
+let last_session_id = 0;
 
+// Session shown in the UI, and its ControllerManager
+let activeSession = null;
 let controller = null;
 
+const rumblePlayer = new RumblePlayer();
+
+const TRIGGER_PLOT_SAMPLES = 250;
+const triggerHistory = {
+  l2: new SampleHistory(TRIGGER_PLOT_SAMPLES),
+  r2: new SampleHistory(TRIGGER_PLOT_SAMPLES),
+};
+
+const MOTION_PLOT_SAMPLES = 250;
+const MOTION_AXES = ['x', 'y', 'z'];
+const MOTION_AXIS_COLORS = { x: '#e91e63', y: '#4caf50', z: '#2196f3' };
+const motionHistory = {
+  gyro: Object.fromEntries(MOTION_AXES.map(axis => [axis, new SampleHistory(MOTION_PLOT_SAMPLES)])),
+  accel: Object.fromEntries(MOTION_AXES.map(axis => [axis, new SampleHistory(MOTION_PLOT_SAMPLES)])),
+};
+
 function gboot() {
   async function initializeApp() {
     window.addEventListener("error", (event) => {
@@ -41,6 +90,54 @@ function gboot() {
     });
 
     $("input[name='displayMode']").on('change', on_stick_mode_change);
+    $("#showExtraInfo").on('change', () => render_info_panel(activeSession?.info));
+    $("#btnCopyInfo").on('click', copy_info);
+    $("#btnExportInfo").on('click', export_info);
+    $("#restoreCalibFile").on('change', on_restore_file_selected);
+    $("#lightbarColor").on('input', on_lightbar_color_change);
+    $(".player-led").on('change', on_player_leds_change);
+    $("#muteLedMode").on('change', on_mute_led_change);
+    $(".motor-slider").on('input', on_motor_slider_change);
+    $(".rumble-pattern").on('click', (e) => play_rumble_pattern(e.currentTarget.dataset.pattern));
+    $("#btnStopMotors").on('click', stop_all_motors);
+    $("#btnReadProfiles").on('click', read_edge_profiles);
+    $("#btnResetHeading").on('click', () => activeSession?.motion.resetHeading());
+    $("#btnClearTouchpad").on('click', () => activeSession?.touchpad.reset());
+    $("#btnButtonTest").on('click', start_button_test);
+    $("#btnResetTriggerAnalysis").on('click', reset_trigger_analysis);
+    $("#btnDriftTest").on('click', start_drift_test);
+    $("#btnClearBatteryHistory").on('click', clear_battery_history);
+    $("#btnRecord").on('click', toggle_recording);
+    $(".replay-file").on('change', on_replay_file_selected);
+    $(".diagnostic-report").on('click', (e) => export_diagnostic_report(e.currentTarget.dataset.format));
+    init_virtual_controller_menu();
+    $("#circularityResolution")
+      .append(CIRCULARITY_RESOLUTIONS.map(n => $('<option></option>').val(n).text(`${n} bins`)))
+      .val(app.circularityResolution)
+      .on('change', on_circularity_resolution_change);
+    $("#btnExportCircCsv").on('click', () => export_circularity('csv'));
+    $("#btnExportCircJson").on('click', () => export_circularity('json'));
+
+    init_trigger_editor();
+    setInterval(sample_trigger_plot, 20);
+    setInterval(sample_motion_plot, 20);
+    setInterval(refresh_touchpad_test, 50);
+    setInterval(refresh_button_test, 100);
+    setInterval(refresh_trigger_analysis, 100);
+    setInterval(refresh_drift_progress, 100);
+    setInterval(refresh_battery_history, 1000);
+    setInterval(() => { if (activeSession?.recorder) render_recording_status(); }, 1000);
+    setInterval(() => { if (circ_checked()) render_circularity_stats(); }, 500);
+
+    window.addEventListener('beforeunload', () => {
+      for (const session of sessions) session.batteryHistory?.save();
+    });
+
+    // Never leave the motors running when the user can't see the page
+    window.addEventListener('blur', stop_all_motors);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) stop_all_motors();
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -61,39 +158,90 @@ function gboot() {
 }
 
 async function connect() {
-  controller = initControllerManager({ handleNvStatusUpdate });
-  controller.setInputHandler(handleControllerInput);
-
-  reset_circularity_mode();
-  await sleep(200);
-
   try {
-    $("#btnconnect").prop("disabled", true);
+    $("#btnconnect, #btnaddcontroller").prop("disabled", true);
     $("#connectspinner").show();
     await sleep(100);
 
     const supportedModels = ControllerFactory.getSupportedModels();
     const requestParams = { filters: supportedModels };
-    let devices = await navigator.hid.getDevices();
+    const isNewDevice = (device) => !sessions.some(s => s.device === device);
+
+    let devices = (await navigator.hid.getDevices()).filter(isNewDevice);
     if (devices.length == 0) {
-      devices = await navigator.hid.requestDevice(requestParams);
+      devices = (await navigator.hid.requestDevice(requestParams)).filter(isNewDevice);
     }
     if (devices.length == 0) {
-      $("#btnconnect").prop("disabled", false);
+      $("#btnconnect, #btnaddcontroller").prop("disabled", false);
       $("#connectspinner").hide();
-      await disconnect();
       return;
     }
 
-    if (devices.length > 1) {
-        alert("Please connect only one controller at time.");
-        $("#btnconnect").prop("disabled", false);
-        $("#connectspinner").hide();
-        await disconnect();
-        return;
+    for (const device of devices) {
+      await open_session(device);
     }
+  } catch(error) {
+    $("#btnconnect, #btnaddcontroller").prop("disabled", false);
+    $("#connectspinner").hide();
+    throw error;
+  }
+}
+
+function init_virtual_controller_menu() {
+  const items = Object.entries(MOCK_PROFILES).flatMap(([profile, { name }]) =>
+    [['usb', 'USB'], ['bt', 'Bluetooth']].map(([connection, label]) =>
+      $('<li></li>').append(
+        $('<button type="button" class="dropdown-item"></button>')
+          .text(`${name} (${label})`)
+          .on('click', () => connect_virtual(profile, connection)))));
+  $(".virtual-controllers").each((_, menu) => $(menu).append(items.map(item => item.clone(true))));
+}
 
-    const [device] = devices;
+/**
+* Connect a simulated controller, see MockHidDevice
+*/
+async function connect_virtual(profile, connection) {
+  try {
+    $("#btnconnect, #btnaddcontroller").prop("disabled", true);
+    $("#connectspinner").show();
+    await open_session(new MockHidDevice(profile, { connection }));
+  } catch(error) {
+    $("#btnconnect, #btnaddcontroller").prop("disabled", false);
+    $("#connectspinner").hide();
+    throw error;
+  }
+}
+
+function create_session(device) {
+  const session = {
+    id: ++last_session_id,
+    device,
+    controller: initControllerManager({ handleNvStatusUpdate: (nv) => handleNvStatusUpdate(session, nv) }),
+    circularity: {
+      left: new CircularityData(app.circularityResolution),
+      right: new CircularityData(app.circularityResolution),
+    },
+    motion: new MotionTracker(),
+    touchpad: new TouchpadTest(),
+    buttonTest: null,
+    triggerAnalysis: { l2: new TriggerAnalysis(), r2: new TriggerAnalysis() },
+    driftTest: null,
+    snapback: new SnapbackTest(),
+    recorder: null,
+    replay: null,
+    batteryHistory: null,
+    connectedAt: null,
+    label: "",
+  };
+  session.controller.setInputHandler((result) => handleControllerInput(session, result));
+  return session;
+}
+
+async function open_session(device) {
+  const session = create_session(device);
+  pending_sessions.push(session);
+
+  try {
     if(device.opened) {
       console.log("Device already opened, closing it before re-opening.");
       await device.close();
@@ -101,28 +249,22 @@ async function connect() {
     }
     await device.open();
 
-    device.oninputreport = continue_connection;
+    device.oninputreport = (event) => continue_connection(session, event);
   } catch(error) {
-    $("#btnconnect").prop("disabled", false);
-    $("#connectspinner").hide();
-    await disconnect();
+    await disconnect_session(session);
     throw error;
   }
 }
 
-async function continue_connection({data, device}) {
+async function continue_connection(session, {data, device, reportId}) {
+  const { controller } = session;
   try {
-    if (!controller || controller.isConnected()) {
+    if (!pending_sessions.includes(session) || controller.isConnected()) {
       device.oninputreport = null;
       return;
     }
 
     const reportLen = data.byteLength;
-    if(reportLen != 63) {
-      alert("The device is connected via Bluetooth. Disconnect and reconnect using a USB cable instead.");
-      await disconnect();
-      return;
-    }
 
     let controllerInstance = null;
     let info = null;
@@ -131,6 +273,11 @@ async function continue_connection({data, device}) {
       controllerInstance = ControllerFactory.createControllerInstance(device);
       controller.setControllerInstance(controllerInstance);
 
+      controllerInstance.setConnectionType(controllerInstance.detectConnectionType(reportId, reportLen));
+      if (controllerInstance.isBluetooth()) {
+        await controllerInstance.enableFullInputReports();
+      }
+
       info = await controllerInstance.getInfo();
 
       if (controllerInstance.initializeCurrentOutputState) {
@@ -148,42 +295,223 @@ async function continue_connection({data, device}) {
       throw new Error(`Connected invalid device: Error  1`, { cause: info?.error });
     }
 
+    session.info = info;
+    session.nv = info.nv;
+    session.connectedAt = new Date().toISOString();
+    session.batteryHistory = new BatteryHistory(battery_history_key(device, info));
+
     console.log("Setting input report handler.");
     device.oninputreport = controller.getInputHandler();
 
     const deviceName = ControllerFactory.getDeviceName(device.productId);
-    $("#devname").text(deviceName + " (" + dec2hex(device.vendorId) + ":" + dec2hex(device.productId) + ")");
+    const connectionName = controllerInstance.isBluetooth() ? "Bluetooth" : "USB";
+    session.label = `${deviceName} #${session.id}`;
+    session.description = deviceName + " (" + dec2hex(device.vendorId) + ":" + dec2hex(device.productId) + ", " + connectionName + ")";
+
+    pending_sessions.splice(pending_sessions.indexOf(session), 1);
+    sessions.push(session);
+    render_device_tabs();
 
     $("#offlinebar").hide();
     $("#onlinebar").show();
     $("#mainmenu").show();
 
-    const model = controllerInstance.getModel();
-
-    await init_svg_controller(model);
-
+    await switch_session(session);
   } catch(err) {
-    await disconnect();
+    await disconnect_session(session);
     throw err;
   } finally {
-    $("#btnconnect").prop("disabled", false);
+    $("#btnconnect, #btnaddcontroller").prop("disabled", false);
     $("#connectspinner").hide();
   }
 }
 
-async function disconnect() {
-  if(!controller?.isConnected()) {
-    controller = null;
+async function switch_session(session) {
+  await stop_all_motors();
+  activeSession = session;
+  controller = session.controller;
+  render_device_tabs();
+
+  $("#devname").text(session.description);
+
+  await init_svg_controller(controller.getModel());
+
+  // Repaint everything from the stored state, since the SVG was just reloaded
+  update_ds_button_svg(controller.button_states, controller.getInputConfig().buttonMap);
+  update_battery_status({ ...controller.batteryStatus, changed: true });
+  render_info_panel(session.info);
+  render_nv_status(session.nv);
+  $("#backupstatus").hide();
+  $("#backuphint").toggle(!controller.getCalibrationBlocks().some(block => block.write));
+  render_output_controls(controller);
+  $(".edge-only").toggle(controller.getModel() === "DS5_Edge");
+  $("#edgeprofiles").empty();
+  triggerHistory.l2.clear();
+  triggerHistory.r2.clear();
+  clear_motion_history();
+  session.touchpad.dirty = true;
+  $("#touchpadCoverage").text("");
+  $("#touchpadPassed").hide();
+  render_button_test(session.buttonTest);
+  for (const analysis of Object.values(session.triggerAnalysis)) analysis.dirty = true;
+  render_drift_test(session.driftTest);
+  if (session.batteryHistory) session.batteryHistory.dirty = true;
+  render_recording_status();
+  hasActiveTouchPoints = false;
+  trackpadBbox = undefined;
+  reset_circularity_mode();
+}
+
+function toggle_recording() {
+  const session = activeSession;
+  if (!session || session.replay) return;
+
+  if (!session.recorder) {
+    const { controller } = session;
+    session.recorder = new InputRecorder({
+      model: controller.getModel(),
+      vendorId: session.device.vendorId,
+      productId: session.device.productId,
+      connection: controller.isBluetooth() ? "bt" : "usb",
+      imuCalibration: controller.getImuCalibration(),
+      info: session.info,
+      nv: session.nv,
+    });
+    controller.setInputRecorder(session.recorder);
+    render_recording_status();
     return;
   }
 
-  await controller.disconnect();
+  const { recorder } = session;
+  session.controller.setInputRecorder(null);
+  session.recorder = null;
+  render_recording_status();
+
+  const name = `recording-${recorder.meta.model}-${recorder.created.replace(/[:.]/g, '-')}.json`;
+  download_file(name, JSON.stringify(recorder));
+}
+
+function render_recording_status() {
+  const session = activeSession;
+  $("#btnRecord")
+    .text(session?.recorder ? "Stop recording" : "Record")
+    .prop('disabled', !session || !!session.replay);
+  $("#recordingstatus").toggle(!!session?.recorder || !!session?.replay?.isPlaying());
+  if (session?.recorder) {
+    const full = session.recorder.isFull() ? " (limit reached)" : "";
+    $("#recordingstatus").text(`● Recording ${(session.recorder.getDuration() / 1000).toFixed(0)} s${full}`);
+  } else if (session?.replay?.isPlaying()) {
+    $("#recordingstatus").text("▶ Replaying");
+  }
+}
+
+async function on_replay_file_selected(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  $(".replay-error").hide();
+  let recording, device, controllerInstance;
+  try {
+    recording = parse_recording(await file.text());
+    device = new ReplayDevice(recording);
+    controllerInstance = ControllerFactory.createControllerInstance(device);
+  } catch (error) {
+    console.error(error);
+    $(".replay-error").text(`Replay failed: ${error.message}`).show();
+    return;
+  }
+
+  const session = create_session(device);
+  const { controller } = session;
+  controller.setControllerInstance(controllerInstance);
+  controllerInstance.setConnectionType(recording.connection);
+  controllerInstance.imuCalibration = recording.imuCalibration ?? null;
+  // Keep the output controls usable; reports sent to a replay device are dropped
+  controllerInstance.outputState = controllerInstance.getDefaultOutputState();
+
+  session.info = recording.info;
+  session.nv = recording.nv;
+  session.connectedAt = recording.created;
+  // Replayed readings are charted but never mixed with the stored history of the controller
+  session.batteryHistory = new BatteryHistory(`replay-${session.id}`, null);
+  session.replay = new RecordingPlayer(device, recording);
+  session.label = `Replay #${session.id}`;
+  session.description = `${ControllerFactory.getDeviceName(device.productId)} (replay of ${file.name}, recorded ${recording.created})`;
+  device.oninputreport = controller.getInputHandler();
+
+  sessions.push(session);
+  render_device_tabs();
+  $("#offlinebar").hide();
+  $("#onlinebar").show();
+  $("#mainmenu").show();
+  await switch_session(session);
+
+  session.replay.play(() => {
+    if (session === activeSession) render_recording_status();
+  });
+  render_recording_status();
+}
+
+function render_device_tabs() {
+  const tabs = $("#devicetabs").empty();
+  for (const session of sessions) {
+    const link = $('<a class="nav-link" href="#"></a>')
+      .text(session.label)
+      .toggleClass("active", session === activeSession)
+      .on("click", (e) => {
+        e.preventDefault();
+        if (session !== activeSession) switch_session(session);
+      });
+    tabs.append($('<li class="nav-item"></li>').append(link));
+  }
+}
+
+async function disconnect_session(session) {
+  if (!session) return;
+
+  if (session === activeSession) {
+    await rumblePlayer.stop();
+    reset_motor_sliders();
+  }
+
+  for (const list of [sessions, pending_sessions]) {
+    const idx = list.indexOf(session);
+    if (idx >= 0) list.splice(idx, 1);
+  }
+
+  session.replay?.stop();
+  session.controller.setInputRecorder(null);
+  session.batteryHistory?.save();
+
+  await session.controller.disconnect();
+  if (session.device.opened) {
+    session.device.oninputreport = null;
+    await session.device.close();
+  }
+
+  if (session !== activeSession) {
+    render_device_tabs();
+    return;
+  }
+
+  activeSession = null;
   controller = null;
+  if (sessions.length > 0) {
+    await switch_session(sessions[0]);
+    return;
+  }
+
+  render_device_tabs();
   $("#offlinebar").show();
   $("#onlinebar").hide();
   $("#mainmenu").hide();
 }
 
+async function disconnect() {
+  await disconnect_session(activeSession);
+}
+
 function disconnectSync() {
   disconnect().catch(error => {
     throw new Error("Failed to disconnect", { cause: error });
@@ -192,7 +520,8 @@ function disconnectSync() {
 
 async function handleDisconnectedDevice(e) {
   console.log("Disconnected: " + e.device.productName)
-  await disconnect();
+  const session = [...sessions, ...pending_sessions].find(s => s.device === e.device);
+  await disconnect_session(session);
 }
 
 async function init_svg_controller(model) {
@@ -201,8 +530,10 @@ async function init_svg_controller(model) {
   let svgFileName;
   if (model === 'DS4') {
     svgFileName = 'dualshock-controller.svg';
-  } else if (model === 'DS5' || model === 'DS5_Edge') {
+  } else if (model === 'DS5') {
     svgFileName = 'dualsense-controller.svg';
+  } else if (model === 'DS5_Edge') {
+    svgFileName = 'dualsense-edge-controller.svg';
   } else {
     throw new Error(`Unknown controller model: ${model}`);
   }
@@ -233,35 +564,563 @@ async function init_svg_controller(model) {
   });
 }
 
-function collectCircularityData(stickStates, leftData, rightData) {
-  const { left, right  } = stickStates || {};
-  const MAX_N = CIRCULARITY_DATA_SIZE;
+const INFO_CATEGORIES = { hw: 'Hardware', fw: 'Firmware', imu: 'Motion Sensors' };
 
-  for(const [stick, data] of [[left, leftData], [right, rightData]]) {
-    if (!stick) return;
+function render_info_panel(info) {
+  const list = $("#infolist").empty();
+  const showExtra = $("#showExtraInfo").is(':checked');
 
-    const { x, y } = stick;
-    const distance = Math.sqrt(x * x + y * y);
-    const angleIndex = (parseInt(Math.round(Math.atan2(y, x) * MAX_N / 2.0 / Math.PI)) + MAX_N) % MAX_N;
-    const oldValue = data[angleIndex] ?? 0;
-    data[angleIndex] = Math.max(oldValue, distance);
+  for (const [cat, title] of Object.entries(INFO_CATEGORIES)) {
+    const items = (info?.infoItems || []).filter(item => item.cat === cat && (showExtra || !item.isExtra));
+    if (items.length === 0) continue;
+
+    list.append($('<dt class="col-12 fw-bold"></dt>').text(title));
+    for (const { key, value, warning } of items) {
+      list.append($('<dt class="col-sm-5"></dt>').text(key));
+      list.append($('<dd class="col-sm-7"></dd>').text(value).toggleClass('text-danger', !!warning));
+    }
+  }
+}
+
+/**
+ * Returns the device information of a session as a plain object, ready to be copied or exported.
+ */
+function get_device_info(session) {
+  const { device, info } = session;
+  return {
+    name: ControllerFactory.getDeviceName(device.productId),
+    vendorId: dec2hex(device.vendorId),
+    productId: dec2hex(device.productId),
+    model: session.controller.getModel(),
+    connection: session.controller.isBluetooth() ? "bt" : "usb",
+    items: (info?.infoItems || []).map(({ id, key, value, cat, warning }) => ({ id, key, value, cat, warning: !!warning })),
+  };
+}
+
+async function copy_info() {
+  if (!activeSession) return;
+
+  const { name, vendorId, productId, items } = get_device_info(activeSession);
+  const lines = [`${name} (${vendorId}:${productId})`, ...items.map(({ key, value }) => `${key}: ${value}`)];
+  await navigator.clipboard.writeText(lines.join("\n"));
+}
+
+function export_info() {
+  if (!activeSession) return;
+
+  const info = get_device_info(activeSession);
+  download_file(`${info.model}-info.json`, JSON.stringify(info, null, 2));
+}
+
+function export_diagnostic_report(format) {
+  if (!activeSession) return;
+
+  const report = create_diagnostic_report({
+    ...activeSession,
+    device: get_device_info(activeSession),
+    battery: activeSession.controller.batteryStatus,
+  });
+  const name = `diagnostic-${report.device.model}-${report.created.replace(/[:.]/g, '-')}`;
+
+  if (format === 'html') {
+    download_file(`${name}.html`, diagnostic_report_to_html(report), 'text/html');
+    return;
+  }
+  download_file(`${name}.json`, JSON.stringify(report, null, 2));
+}
+
+function render_output_controls(controller) {
+  const state = controller.getOutputState();
+  const is_ds5 = controller.getModel() !== "DS4";
+  $(".ds5-only").toggle(is_ds5);
+  if (!state) return;
+
+  const { r, g, b } = state.lightbar;
+  $("#lightbarColor").val(rgb2hex(r, g, b));
+  if (is_ds5) {
+    $(".player-led").each((_, el) => {
+      $(el).prop('checked', (state.playerLeds & (1 << el.dataset.bit)) !== 0);
+    });
+    $("#muteLedMode").val(state.muteLed);
+    for (const trigger of ['left', 'right']) {
+      render_trigger_editor(trigger, state.triggers[trigger]);
+    }
   }
 }
 
+function init_trigger_editor() {
+  const modes = Object.entries(TRIGGER_EFFECT_MODES).map(([mode, { label }]) => $('<option></option>').val(mode).text(label));
+  $(".trigger-editor").each((_, el) => {
+    const trigger = el.dataset.trigger;
+    $(el).find(".trigger-mode")
+      .append(modes.map(option => option.clone()))
+      .on('change', (e) => render_trigger_editor(trigger, default_trigger_effect(e.target.value)));
+    render_trigger_editor(trigger, { mode: 'off' });
+  });
+
+  $("#btnApplyTriggers").on('click', apply_trigger_effects);
+  $("#btnResetTriggers").on('click', async () => {
+    for (const trigger of ['left', 'right']) {
+      render_trigger_editor(trigger, { mode: 'off' });
+    }
+    await apply_trigger_effects();
+  });
+}
+
+function render_trigger_editor(trigger, effect) {
+  const editor = $(`.trigger-editor[data-trigger='${trigger}']`);
+  editor.find(".trigger-mode").val(effect.mode);
+
+  const params = editor.find(".trigger-params").empty();
+  for (const param of TRIGGER_EFFECT_MODES[effect.mode].params) {
+    const value = effect[param.name] ?? param.default;
+    const label = $('<span class="small font-monospace"></span>').text(value);
+    const input = $('<input type="range" class="form-range">')
+      .attr({ min: param.min, max: param.max, 'data-param': param.name })
+      .val(value)
+      .on('input', (e) => label.text(e.target.value));
+    params.append($('<div class="hstack gap-2 small"></div>').append(
+      $('<span class="flex-shrink-0" style="min-width: 80px;"></span>').text(param.label), input, label));
+  }
+}
+
+function read_trigger_editor(trigger) {
+  const editor = $(`.trigger-editor[data-trigger='${trigger}']`);
+  const effect = { mode: editor.find(".trigger-mode").val() };
+  editor.find("input[data-param]").each((_, el) => {
+    effect[el.dataset.param] = parseInt(el.value);
+  });
+  return effect;
+}
+
+async function apply_trigger_effects() {
+  if (!controller || controller.getModel() === "DS4") return;
+  await controller.setOutputState({
+    triggers: { left: read_trigger_editor('left'), right: read_trigger_editor('right') },
+  });
+}
+
+function sample_trigger_plot() {
+  const canvas = document.getElementById("triggerPlot");
+  if (!controller || !canvas || canvas.offsetParent === null) return;
+
+  const { l2_analog = 0, r2_analog = 0 } = controller.button_states;
+  triggerHistory.l2.push(l2_analog);
+  triggerHistory.r2.push(r2_analog);
+
+  draw_time_series(canvas.getContext("2d"), [
+    { values: triggerHistory.l2.values(), color: '#2196f3', label: 'L2' },
+    { values: triggerHistory.r2.values(), color: '#e91e63', label: 'R2' },
+  ], { min: 0, max: 255, capacity: TRIGGER_PLOT_SAMPLES, gridLines: [64, 128, 192] });
+}
+
+function clear_motion_history() {
+  for (const sensor of Object.values(motionHistory)) {
+    for (const history of Object.values(sensor)) history.clear();
+  }
+}
+
+function sample_motion_plot() {
+  const gyroCanvas = document.getElementById("gyroPlot");
+  if (!controller || !gyroCanvas || gyroCanvas.offsetParent === null) return;
+
+  const { gyro, accel } = controller.button_states;
+  if (!gyro || !accel) return;
+
+  for (const axis of MOTION_AXES) {
+    motionHistory.gyro[axis].push(gyro[axis]);
+    motionHistory.accel[axis].push(accel[axis]);
+    $("#gyro-" + axis).text(float_to_str(gyro[axis], 1));
+    $("#accel-" + axis).text(float_to_str(accel[axis], 3));
+  }
+
+  const series = (sensor) => MOTION_AXES.map(axis => (
+    { values: motionHistory[sensor][axis].values(), color: MOTION_AXIS_COLORS[axis], label: axis.toUpperCase() }
+  ));
+  draw_time_series(gyroCanvas.getContext("2d"), series('gyro'),
+    { min: -500, max: 500, capacity: MOTION_PLOT_SAMPLES, gridLines: [-250, 0, 250] });
+  draw_time_series(document.getElementById("accelPlot").getContext("2d"), series('accel'),
+    { min: -2, max: 2, capacity: MOTION_PLOT_SAMPLES, gridLines: [-1, 0, 1] });
+  draw_orientation(document.getElementById("orientationView").getContext("2d"), activeSession.motion.getOrientation());
+}
+
+function refresh_touchpad_test() {
+  const canvas = document.getElementById("touchpadCanvas");
+  const test = activeSession?.touchpad;
+  if (!test?.dirty || !test.size || !canvas || canvas.offsetParent === null) return;
+  test.dirty = false;
+
+  // Keep the aspect ratio of the touchpad of the connected model
+  const height = Math.round(canvas.width * test.size.height / test.size.width);
+  if (canvas.height !== height) canvas.height = height;
+  draw_touchpad_test(canvas.getContext("2d"), test);
+
+  const { covered, total, passed } = test.getCoverage();
+  $("#touchpadCoverage").text(`Coverage: ${covered} / ${total} cells`);
+  $("#touchpadPassed").toggle(passed);
+}
+
+function start_button_test() {
+  if (!activeSession) return;
+  activeSession.buttonTest = new ButtonTest(controller.getInputConfig().buttonMap);
+  render_button_test(activeSession.buttonTest);
+}
+
+function refresh_button_test() {
+  const test = activeSession?.buttonTest;
+  if (!test?.dirty) return;
+  render_button_test(test);
+}
+
+function render_button_test(test) {
+  const list = $("#buttontestlist").empty();
+  const result = $("#buttontestresult").empty();
+  $("#btnButtonTest").text(test ? "Restart" : "Start");
+  if (!test) return;
+  test.dirty = false;
+
+  for (const button of test.buttons) {
+    const level = button.chatter > 0 ? 'danger' : button.passed ? 'success' : button.pressed ? 'warning' : 'secondary';
+    const text = button.chatter > 0 ? `${button.label} (chatter x${button.chatter})` : button.label;
+    list.append($(`<span class="badge text-bg-${level}"></span>`).text(text));
+  }
+  for (const trigger of test.triggers) {
+    const level = trigger.passed ? 'success' : trigger.min !== null ? 'warning' : 'secondary';
+    const range = trigger.min !== null ? ` ${trigger.min}–${trigger.max}` : '';
+    list.append($(`<span class="badge text-bg-${level}"></span>`).text(trigger.label + range));
+  }
+
+  const { passed, missing, chattering } = test.getResult();
+  if (passed) {
+    result.append($('<div class="text-success fw-bold"></div>').text("All inputs pass"));
+    return;
+  }
+  if (missing.length > 0) {
+    result.append($('<div></div>').text("Missing: " + missing.join(", ")));
+  }
+  if (chattering.length > 0) {
+    result.append($('<div class="text-danger"></div>').text("Chattering: " + chattering.join(", ")));
+  }
+}
+
+function reset_trigger_analysis() {
+  if (!activeSession) return;
+  for (const analysis of Object.values(activeSession.triggerAnalysis)) analysis.reset();
+  triggerHistory.l2.clear();
+  triggerHistory.r2.clear();
+}
+
+function refresh_trigger_analysis() {
+  if (!activeSession) return;
+
+  $(".trigger-analysis").each((_, el) => {
+    const analysis = activeSession.triggerAnalysis[el.dataset.trigger];
+    const canvas = $(el).find(".trigger-histogram")[0];
+    if (!analysis.dirty || canvas.offsetParent === null) return;
+    analysis.dirty = false;
+
+    draw_histogram(canvas.getContext("2d"), analysis.counts, el.dataset.trigger === 'l2' ? '#2196f3' : '#e91e63');
+
+    const stats = $(el).find(".trigger-stats").empty();
+    const result = analysis.getStats();
+    if (!result) return;
+
+    const { resting, max, skipped, skippedRanges } = result;
+    stats.append($('<div></div>').text(`Resting: ${resting}  Max: ${max}  Skipped: ${skipped}`));
+    if (max < 255) {
+      stats.append($('<div class="text-danger"></div>').text("Never reached 255"));
+    }
+    if (skippedRanges.length > 0) {
+      const ranges = skippedRanges.map(({ from, to }) => from === to ? `${from}` : `${from}–${to}`);
+      stats.append($('<div class="text-danger"></div>').text("Jumped over: " + ranges.join(", ")));
+    }
+  });
+}
+
+function start_drift_test() {
+  if (!activeSession) return;
+  activeSession.driftTest = new DriftTest();
+  render_drift_test(activeSession.driftTest);
+}
+
+function refresh_drift_progress() {
+  const test = activeSession?.driftTest;
+  if (!test || test.finished) return;
+  $("#driftprogress .progress-bar").css('width', `${Math.round(test.getProgress(performance.now()) * 100)}%`);
+}
+
+function render_drift_test(test) {
+  const canvas = document.getElementById("driftCanvas");
+  const ctx = canvas.getContext("2d");
+  const result = $("#driftresult").empty();
+  const running = test && !test.finished;
+
+  $("#btnDriftTest").prop('disabled', !!running);
+  $("#driftprogress").toggle(!!running);
+  $("#driftprogress .progress-bar").css('width', '0%');
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!test?.finished) return;
+
+  const stats = test.getResult();
+  const sz = canvas.height / 2 - 5;
+  for (const [i, stick] of ['left', 'right'].entries()) {
+    const s = stats[stick];
+    draw_stick_scatter(ctx, canvas.width / 4 * (1 + i * 2), canvas.height / 2, sz, test.samples[stick], { deadzone: s?.deadzone ?? null });
+
+    const col = $('<div class="col-6"></div>').appendTo(result);
+    col.append($('<div class="fw-bold"></div>').text(stick === 'left' ? "Left stick" : "Right stick"));
+    if (!s) continue;
+
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+    col.append($('<div></div>').text(`Offset:  ${pct(s.offset)}`));
+    col.append($('<div></div>').text(`Std dev: ${pct(s.stddev)}`));
+    col.append($('<div></div>').text(`Peak:    ${pct(s.peak)}`));
+    col.append($('<div></div>').text(`Deadzone: ${Math.round(s.deadzone * 100)}%`));
+    col.append($(`<div class="fw-bold ${s.passed ? 'text-success' : 'text-danger'}"></div>`).text(s.passed ? "No drift" : "Drift"));
+  }
+}
+
+async function on_lightbar_color_change() {
+  if (!controller) return;
+  const [r, g, b] = hex2rgb($("#lightbarColor").val());
+  await controller.setOutputState({ lightbar: { r, g, b } });
+}
+
+async function on_player_leds_change() {
+  if (!controller) return;
+  let playerLeds = 0;
+  $(".player-led:checked").each((_, el) => { playerLeds |= 1 << el.dataset.bit; });
+  await controller.setOutputState({ playerLeds });
+}
+
+async function on_mute_led_change() {
+  if (!controller) return;
+  await controller.setOutputState({ muteLed: $("#muteLedMode").val() });
+}
+
+function reset_motor_sliders() {
+  $(".motor-slider").val(0);
+  $("#motorLeftValue, #motorRightValue").text("0");
+}
+
+async function on_motor_slider_change() {
+  if (!controller) return;
+
+  await rumblePlayer.stop();
+  const left = parseInt($("#motorLeft").val());
+  const right = parseInt($("#motorRight").val());
+  $("#motorLeftValue").text(left);
+  $("#motorRightValue").text(right);
+  await controller.setMotors(left, right);
+}
+
+async function play_rumble_pattern(name) {
+  if (!controller) return;
+
+  reset_motor_sliders();
+  $(".rumble-pattern").removeClass('active');
+  $(`.rumble-pattern[data-pattern='${name}']`).addClass('active');
+  $("#rumbleError").hide();
+  await rumblePlayer.play(controller, name, () => $(".rumble-pattern").removeClass('active'), (error) => {
+    console.error(error);
+    $("#rumbleError").text(`Rumble pattern stopped: ${error.message}`).show();
+  });
+}
+
+async function stop_all_motors() {
+  reset_motor_sliders();
+  // Stop the pattern first, so it can't start the motors again
+  await rumblePlayer.stop().catch(error => console.error("Failed to stop the rumble pattern", error));
+  const results = await Promise.allSettled(sessions.map(s => s.controller.stopMotors()));
+  for (const { status, reason } of results) {
+    if (status === 'rejected') console.error("Failed to stop the motors", reason);
+  }
+}
+
+async function read_edge_profiles() {
+  if (!controller) return;
+
+  const container = $("#edgeprofiles").empty();
+  $("#btnReadProfiles").prop('disabled', true);
+  try {
+    const profiles = await controller.readProfiles();
+    for (const profile of profiles) {
+      container.append(render_edge_profile(profile));
+    }
+  } catch (error) {
+    console.error(error);
+    container.append($('<div class="alert alert-danger py-1 mb-0"></div>').text(`Failed to read profiles: ${error.message}`));
+  } finally {
+    $("#btnReadProfiles").prop('disabled', false);
+  }
+}
+
+function render_edge_profile(profile) {
+  const card = $('<div class="border rounded p-2 small"></div>');
+  if (profile.empty) {
+    return card.append($('<b></b>').text(profile.slot), " — empty");
+  }
+
+  const stick = ({ curve, points, deadzone }) => `${curve}, deadzone ${deadzone}, curve points ${points.join(" ")}`;
+  const trigger = ({ min, max }) => `${min} – ${max}`;
+  const remaps = Object.entries(profile.remap).map(([from, to]) => `${from} → ${to}`).join(", ") || "none";
+
+  const list = $('<dl class="row mb-0"></dl>');
+  for (const [key, value] of [
+    ["Left stick", stick(profile.leftStick)],
+    ["Right stick", stick(profile.rightStick)],
+    ["L2 range", trigger(profile.leftTrigger)],
+    ["R2 range", trigger(profile.rightTrigger)],
+    ["Button remaps", remaps],
+  ]) {
+    list.append($('<dt class="col-sm-4"></dt>').text(key), $('<dd class="col-sm-8 mb-0"></dd>').text(value));
+  }
+  // Only the name offset is known for sure, see PROFILE_LAYOUT
+  const note = $('<div class="text-secondary"></div>')
+    .text("Experimental: the settings below are decoded from an unverified layout, check them against the raw data.");
+
+  const raw = $('<details></details>').append(
+    $('<summary>Raw data</summary>'),
+    $('<pre class="mb-0 text-wrap text-break"></pre>').text(profile.raw));
+
+  return card.append($('<b></b>').text(`${profile.slot}: ${profile.name}`), note, list, raw);
+}
+
+function show_backup_status(text, level) {
+  $("#backupstatus").text(text).attr('class', `alert alert-${level} py-1 mb-0`).show();
+}
+
+async function backup_calibration() {
+  if (!activeSession) return;
+
+  const { controller, info } = activeSession;
+  try {
+    const backup = await create_calibration_backup(controller, info);
+    const serial = (backup.serial ?? "unknown").replace(/[^A-Za-z0-9]/g, '');
+    download_file(`${backup.model}-${serial}-calibration.json`, JSON.stringify(backup, null, 2));
+    show_backup_status(`Backed up: ${Object.keys(backup.blocks).join(", ")}.`, "success");
+  } catch (error) {
+    console.error(error);
+    show_backup_status(`Backup failed: ${error.message}`, "danger");
+  }
+}
+
+async function on_restore_file_selected(event) {
+  const [file] = event.target.files;
+  event.target.value = "";
+  if (!file || !activeSession) return;
+
+  const { controller, info } = activeSession;
+  try {
+    const backup = parse_calibration_backup(await file.text());
+    const check = check_calibration_backup(controller, info, backup);
+    const override = $("#restoreOverride").is(':checked');
+    if (!check.ok && !(override && check.overridable)) {
+      const hint = check.overridable ? " Tick \"Allow other controller\" to restore anyway." : "";
+      show_backup_status(check.problems.join(" ") + hint, "danger");
+      return;
+    }
+
+    const { written, skipped } = await restore_calibration_backup(controller, info, backup, { override });
+    const messages = [
+      written.length > 0 ? `Restored: ${written.join(", ")}.` : "Nothing can be restored on this model.",
+      skipped.length > 0 ? `Read-only, not restored: ${skipped.join(", ")}.` : "",
+      ...check.warnings,
+    ];
+    show_backup_status(messages.filter(m => m).join(" "), written.length > 0 ? "success" : "warning");
+    await controller.queryNvStatus();
+  } catch (error) {
+    console.error(error);
+    show_backup_status(`Restore failed: ${error.message}`, "danger");
+  }
+}
+
+function collectCircularityData(stickStates, circularity) {
+  const { left, right } = stickStates || {};
+  if (!left || !right) return;
+
+  circularity.left.add(left.x, left.y);
+  circularity.right.add(right.x, right.y);
+}
+
 function clear_circularity() {
-  ll_data.fill(0);
-  rr_data.fill(0);
+  activeSession?.circularity.left.clear();
+  activeSession?.circularity.right.clear();
+  activeSession?.snapback.reset();
 }
 
+function on_circularity_resolution_change() {
+  app.circularityResolution = parseInt($("#circularityResolution").val());
+  for (const session of sessions) {
+    session.circularity.left.resize(app.circularityResolution);
+    session.circularity.right.resize(app.circularityResolution);
+  }
+  resetStickDiagrams();
+}
+
+function render_circularity_stats() {
+  $("#circularitystats").toggle(circ_checked());
+  const table = $("#circularitytable").empty();
+  if (!activeSession || !circ_checked()) return;
+
+  const stats = {
+    left: activeSession.circularity.left.getStats(),
+    right: activeSession.circularity.right.getStats(),
+  };
+  const fmt = (region) => region.error === null
+    ? "-"
+    : `${region.error.toFixed(1)}% (avg ${(region.averageMean * 100).toFixed(0)} / peak ${(region.peakMean * 100).toFixed(0)})`;
+  const labels = { down_right: "↘", down_left: "↙", up_left: "↖", up_right: "↗" };
+
+  const header = $('<tr><th></th><th>Left</th><th>Right</th></tr>');
+  table.append($('<thead></thead>').append(header));
+  const body = $('<tbody></tbody>').appendTo(table);
+  const add_row = (label, key, group = null) => {
+    const region = (stick) => group ? stats[stick][group][key] : stats[stick][key];
+    body.append($('<tr></tr>').append(
+      $('<th></th>').text(label),
+      $('<td></td>').text(fmt(region('left'))),
+      $('<td></td>').text(fmt(region('right'))),
+    ));
+  };
+
+  add_row("Overall", 'overall');
+  for (const [key, arrow] of Object.entries(labels)) add_row(`Quadrant ${arrow}`, key, 'quadrants');
+  for (const [key, arrow] of Object.entries(labels)) add_row(`Diagonal ${arrow}`, key, 'diagonals');
+}
+
+function export_circularity(format) {
+  if (!activeSession) return;
+  const { circularity } = activeSession;
+  const name = `circularity-${activeSession.controller.getModel()}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+  if (format === 'csv') {
+    download_file(`${name}.csv`, circularity_to_csv(circularity), 'text/csv');
+    return;
+  }
+  const data = {
+    created: new Date().toISOString(),
+    device: get_device_info(activeSession),
+    sticks: circularity_to_json(circularity),
+  };
+  download_file(`${name}.json`, JSON.stringify(data, null, 2));
+}
+
+/**
+* Back to the normal display mode, keeping the measurements of the session
+*/
 function reset_circularity_mode() {
-  clear_circularity();
   $("#normalMode").prop('checked', true);
   refresh_stick_pos();
+  render_snapback_stats();
+  render_circularity_stats();
 }
 
 function refresh_stick_pos() {
   if(!controller) return;
 
+  const { circularity } = activeSession;
   const c = document.getElementById("stickCanvas");
   const ctx = c.getContext("2d");
   const sz = 60;
@@ -272,17 +1131,21 @@ function refresh_stick_pos() {
 
   const { left: { x: plx, y: ply }, right: { x: prx, y: pry } } = controller.button_states.sticks;
 
-  const enable_zoom_center = center_zoom_checked();
+  const enable_snapback = snapback_checked();
+  const enable_zoom_center = center_zoom_checked() || enable_snapback;
   const enable_circ_test = circ_checked();
+  const { snapback } = activeSession;
 
   draw_stick_position(ctx, hb, yb, sz, plx, ply, {
-    circularity_data: enable_circ_test ? ll_data : null,
+    circularity_data: enable_circ_test ? circularity.left.peak : null,
     enable_zoom_center,
+    landing_points: enable_snapback ? snapback.left.landings : null,
   });
 
   draw_stick_position(ctx, w-hb, yb, sz, prx, pry, {
-    circularity_data: enable_circ_test ? rr_data : null,
+    circularity_data: enable_circ_test ? circularity.right.peak : null,
     enable_zoom_center,
+    landing_points: enable_snapback ? snapback.right.landings : null,
   });
 
   const precision = enable_zoom_center ? 3 : 2;
@@ -333,14 +1196,48 @@ function refresh_stick_pos() {
 
 const circ_checked = () => $("#checkCircularityMode").is(':checked');
 const center_zoom_checked = () => $("#centerZoomMode").is(':checked');
+const snapback_checked = () => $("#snapbackMode").is(':checked');
 
 function resetStickDiagrams() {
   clear_circularity();
   refresh_stick_pos();
+  render_snapback_stats();
+  render_circularity_stats();
+}
+
+function render_snapback_stats() {
+  $("#snapbackstats").toggle(snapback_checked());
+  $(".snapback-stats").each((_, el) => {
+    const { stick } = el.dataset;
+    const stats = activeSession?.snapback[stick].getStats();
+    const col = $(el).empty();
+    col.append($('<div class="fw-bold"></div>').text(stick === 'left' ? "Left stick" : "Right stick"));
+    if (!stats) {
+      col.append($('<div></div>').text("No release yet"));
+      return;
+    }
+
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+    col.append($('<div></div>').text(`Releases: ${stats.count}`));
+    col.append($('<div></div>').text(`Settle:   ${Math.round(stats.avgSettleTime)} ms (max ${Math.round(stats.maxSettleTime)})`));
+    col.append($('<div></div>').text(`Spread:   ${pct(stats.spread)}`));
+    col.append($('<div></div>').text(`Worst:    ${pct(stats.worst)}`));
+  });
 }
 
 const on_stick_mode_change = () => resetStickDiagrams();
 
+function set_display_mode(mode) {
+  const id = {
+    normal: "#normalMode",
+    center: "#centerZoomMode",
+    circularity: "#checkCircularityMode",
+    snapback: "#snapbackMode",
+  }[mode];
+  $(id).prop('checked', true);
+  resetStickDiagrams();
+}
+
 const throttled_refresh_sticks = (() => {
   let delay = null;
   return function(changes) {
@@ -357,6 +1254,49 @@ const throttled_refresh_sticks = (() => {
 
 const update_stick_graphics = (changes) => throttled_refresh_sticks(changes);
 
+/**
+* Key of the stored battery history of a controller: the Bluetooth address when known
+*/
+function battery_history_key(device, info) {
+  const bdaddr = info?.infoItems?.find(item => item.id === 'bdaddr')?.value;
+  return `${dec2hex(device.productId)}-${bdaddr && bdaddr !== 'unknown' ? bdaddr : 'default'}`;
+}
+
+function clear_battery_history() {
+  activeSession?.batteryHistory?.clear();
+  refresh_battery_history();
+}
+
+function format_duration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+function refresh_battery_history() {
+  const history = activeSession?.batteryHistory;
+  const canvas = document.getElementById("batteryChart");
+  if (!history || canvas.offsetParent === null) return;
+
+  // The chart scrolls with time, so it is redrawn every time; the text only on new readings
+  const now = Date.now();
+  const first = history.entries[0]?.t ?? now;
+  const span = Math.min(24 * 3600000, Math.max(10 * 60000, now - first));
+  draw_battery_history(canvas.getContext("2d"), history.entries, { now, span, gapMs: BATTERY_GAP_MS });
+
+  if (!history.dirty) return;
+  history.dirty = false;
+
+  const rate = history.getRate();
+  const text = !rate ? "No readings yet"
+    : rate.state === 'error' ? "Error"
+    : rate.state === 'full' ? `${rate.capacity}%, charged`
+    : rate.rate === null ? `${rate.capacity}%, ${rate.state}, measuring the rate...`
+    : `${rate.capacity}%, ${rate.state} at ${rate.rate > 0 ? '+' : ''}${rate.rate.toFixed(1)}%/h, ` +
+      `${rate.state === 'charging' ? 'full' : 'empty'} in about ${format_duration(rate.remaining)}`;
+  $("#batteryrate").text(text);
+  $("#batterywarnings").empty().append(history.getWarnings(now).map(warning => $('<div></div>').text(warning)));
+}
+
 function update_battery_status({ bat_txt, changed }) {
   if(changed) {
     $("#d-bat").html(bat_txt);
@@ -422,7 +1362,8 @@ function set_svg_group_color(group, color) {
 let hasActiveTouchPoints = false;
 let trackpadBbox = undefined;
 
-function update_touchpad_circles(points) {
+function update_touchpad_circles(points, size) {
+  if (!size) return;
   const hasActivePointsNow = points.some(pt => pt.active);
   if(!hasActivePointsNow && !hasActiveTouchPoints) return;
 
@@ -436,10 +1377,9 @@ function update_touchpad_circles(points) {
 
   points.forEach((pt, idx) => {
     if (!pt.active) return;
-    const RAW_W = 1920, RAW_H = 943;
     const pointRadius = trackpadBbox.width * 0.05;
-    const cx = trackpadBbox.x + pointRadius + (pt.x / RAW_W) * (trackpadBbox.width - pointRadius*2);
-    const cy = trackpadBbox.y + pointRadius + (pt.y / RAW_H) * (trackpadBbox.height - pointRadius*2);
+    const cx = trackpadBbox.x + pointRadius + (pt.x / size.width) * (trackpadBbox.width - pointRadius*2);
+    const cy = trackpadBbox.y + pointRadius + (pt.y / size.height) * (trackpadBbox.height - pointRadius*2);
     const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
     circle.setAttribute('class', 'ds-touch');
     circle.setAttribute('cx', cx);
@@ -453,21 +1393,134 @@ function update_touchpad_circles(points) {
   });
 }
 
-function handleControllerInput({ changes, inputConfig, touchPoints, batteryStatus }) {
-  const { buttonMap } = inputConfig;
+function handleControllerInput(session, { changes, inputConfig, touchPoints, batteryStatus }) {
+  const { buttonMap, touchpadSize } = inputConfig;
+
+  // Every device keeps collecting its own data, but only the active one drives the UI
+  collectCircularityData(changes.sticks, session.circularity);
+  session.batteryHistory?.record(batteryStatus);
+  if (changes.gyro) {
+    session.motion.update(changes.gyro, changes.accel, performance.now());
+  }
+  session.touchpad.update(touchPoints, touchpadSize);
+  session.buttonTest?.update(changes, performance.now());
+  if (session.snapback.update(session.controller.button_states.sticks, performance.now()) && session === activeSession && snapback_checked()) {
+    refresh_stick_pos();
+    render_snapback_stats();
+  }
+  const { driftTest } = session;
+  if (driftTest && !driftTest.finished && driftTest.record(session.controller.button_states.sticks_raw, performance.now())) {
+    if (session === activeSession) render_drift_test(driftTest);
+  }
+  for (const trigger of ['l2', 'r2']) {
+    if (changes.hasOwnProperty(trigger + '_analog')) {
+      session.triggerAnalysis[trigger].record(changes[trigger + '_analog']);
+    }
+  }
+  if (session !== activeSession) return;
 
-  collectCircularityData(changes.sticks, ll_data, rr_data);
   update_stick_graphics(changes);
   update_ds_button_svg(changes, buttonMap);
-  update_touchpad_circles(touchPoints);
+  update_touchpad_circles(touchPoints, touchpadSize);
 
   update_battery_status(batteryStatus);
 }
 
-function handleNvStatusUpdate(nv) {
+function handleNvStatusUpdate(session, nv) {
+  session.nv = nv;
+  if (session === activeSession) {
+    render_nv_status(nv);
+  }
+}
+
+const NV_STATUS_UI = {
+  locked: {
+    text: "Locked (temporary)",
+    badge: "text-bg-success",
+    hint: "Calibration changes are kept until the controller is turned off.",
+  },
+  unlocked: {
+    text: "Unlocked (permanent)",
+    badge: "text-bg-warning",
+    hint: "Calibration changes are written permanently to the controller.",
+  },
+  pending_reboot: {
+    text: "Pending reboot",
+    badge: "text-bg-danger",
+    hint: "The controller must be power-cycled: disconnect it, hold the PS button for about 10 seconds to turn it off, then reconnect it.",
+  },
+};
+
+function render_nv_status(nv) {
+  const status = NV_STATUS_UI[nv?.status] ?? {
+    text: nv?.status === 'error' ? "Error" : "Unknown",
+    badge: "text-bg-secondary",
+    hint: nv?.code !== undefined ? `Unexpected status code: ${nv.code}` : "",
+  };
+
+  $("#nvstatus").text(status.text).attr('class', 'badge ' + status.badge);
+  $("#nvhint").text(status.hint);
+
+  const pending_reboot = nv?.status === 'pending_reboot';
+  $("#btnNvUnlock").prop('disabled', pending_reboot || nv?.locked === false);
+  $("#btnNvLock").prop('disabled', pending_reboot || nv?.locked === true);
+  $("#btnCalibCenter, #btnCalibRange, #btnFinetune, #btnRestoreCalib").prop('disabled', pending_reboot);
+}
+
+async function set_nvs_lock(locked) {
+  if (!controller) return;
+
+  $("#nverror").hide();
+  $("#btnNvUnlock, #btnNvLock").prop('disabled', true);
+  const res = locked ? await controller.nvsLock() : await controller.nvsUnlock();
+  if (!res.ok) {
+    console.error(res.error);
+    $("#nverror").text(`Failed to ${locked ? "lock" : "unlock"} the storage: ${res.error?.message || "unknown error"}`).show();
+    render_nv_status(activeSession?.nv);
+  }
+}
+
+// The dialogs report to the controller they were opened on, even if another tab is active by now
+function query_session_nv_status(session) {
+  if (session.controller.isConnected()) session.controller.queryNvStatus();
 }
 
 window.gboot = gboot;
+window.calibrate_stick_centering = () => {
+  if (!controller) return;
+  const session = activeSession;
+  calibrate_stick_centering(session.controller, { setDisplayMode: set_display_mode }, () => query_session_nv_status(session));
+};
+window.finetune_sticks = () => {
+  if (!controller?.getFinetuneMaxValue()) return;
+  const session = activeSession;
+  finetune_sticks(session.controller, {
+    resetStickDiagrams,
+    getCircularityData: () => ({ left: session.circularity.left.peak, right: session.circularity.right.peak }),
+    serial: session.info?.infoItems?.find(item => item.id === 'serial')?.value ?? null,
+  }, (result) => {
+    session.finetune = result;
+    query_session_nv_status(session);
+  });
+};
+window.backup_calibration = backup_calibration;
+window.nvs_lock = () => set_nvs_lock(true);
+window.nvs_unlock = () => set_nvs_lock(false);
+window.calibrate_range = () => {
+  if (!controller) return;
+  const session = activeSession;
+  calibrate_range(session.controller, {
+    resetStickDiagrams,
+    getCircularityData: () => ({ left: session.circularity.left.peak, right: session.circularity.right.peak }),
+    showWarning: !app.shownRangeCalibrationWarning,
+  }, (result) => {
+    query_session_nv_status(session);
+    if (!result) return;
+    session.rangeCalibration = result;
+    set_display_mode("circularity");
+  });
+  app.shownRangeCalibrationWarning = true;
+};
 window.connect = connect;
 window.disconnect = disconnectSync;
 
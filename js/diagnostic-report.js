@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+* Diagnostic report
+*
+* Gathers everything measured on one controller (device info, NV status,
+* battery and the results of every test run so far) in a plain object, which
+* is exported as is (JSON) or rendered as a standalone printable HTML page.
+* Tests that were not run are reported as null.
+*/
+
+const REPORT_FORMAT = "dualshock-tools-diagnostic-report";
+const REPORT_VERSION = 1;
+
+/**
+* @param {Object} session What was collected on the controller
+* @param {Object} session.device Device description, see get_device_info() in core.js
+* @param {string} session.connectedAt Connection time, ISO 8601
+* @param {Object} session.nv NV status, as returned by queryNvStatus()
+* @param {Object} session.battery Battery status, as returned by the ControllerManager
+* @param {{left: CircularityData, right: CircularityData}} session.circularity Circularity measurements
+* @param {ButtonTest|null} session.buttonTest Button checklist
+* @param {DriftTest|null} session.driftTest Stick drift test
+* @param {{l2: TriggerAnalysis, r2: TriggerAnalysis}} session.triggerAnalysis Trigger range analysis
+* @param {SnapbackTest} session.snapback Snapback measurements
+* @returns {Object} Report, ready for JSON
+*/
+export function create_diagnostic_report({ device, connectedAt, nv, battery, circularity, buttonTest, driftTest, triggerAnalysis, snapback }) {
+  const { items, ...identity } = device;
+  const stick_results = (get) => ({ left: get('left'), right: get('right') });
+
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    created: new Date().toISOString(),
+    device: { ...identity, connectedAt },
+    info: items,
+    nv: nv ? { status: nv.status, locked: nv.locked, code: nv.code ?? null } : null,
+    battery: battery ? {
+      text: battery.bat_txt.trim(),
+      capacity: battery.bat_capacity,
+      cableConnected: battery.cable_connected,
+      charging: battery.is_charging,
+      error: battery.is_error,
+    } : null,
+    circularity: stick_results(stick => {
+      const { resolution, overall, quadrants, diagonals } = circularity[stick].getStats();
+      return overall.covered > 0 ? { resolution, overall, quadrants, diagonals } : null;
+    }),
+    buttons: buttonTest ? {
+      startedAt: buttonTest.startedAt,
+      ...buttonTest.getResult(),
+      controls: [
+        ...buttonTest.buttons.map(({ name, label, passed, chatter }) => ({ name, label, passed, chatter })),
+        ...buttonTest.triggers.map(({ name, label, passed, min, max }) => ({ name, label, passed, min, max })),
+      ],
+    } : null,
+    drift: driftTest?.finished ? {
+      startedAt: driftTest.startedAt,
+      duration: driftTest.duration,
+      ...driftTest.getResult(),
+    } : null,
+    triggers: {
+      l2: triggerAnalysis.l2.getStats(),
+      r2: triggerAnalysis.r2.getStats(),
+    },
+    snapback: stick_results(stick => snapback[stick].getStats()),
+  };
+}
+
+function escape_html(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const pct = (v, digits = 1) => v === null || v === undefined ? "-" : `${(v * 100).toFixed(digits)}%`;
+
+function verdict(passed) {
+  return passed ? '<span class="pass">Pass</span>' : '<span class="fail">Fail</span>';
+}
+
+function table(headers, rows) {
+  const head = headers.map(h => `<th>${escape_html(h)}</th>`).join("");
+  const body = rows.map(row => `<tr>${row.join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// Cells are escaped here, except those built by verdict()
+const cell = (value) => `<td>${escape_html(value ?? "-")}</td>`;
+const html_cell = (html) => `<td>${html}</td>`;
+
+const not_run = '<p class="muted">Not run.</p>';
+
+function info_section(report) {
+  const { device, nv, battery } = report;
+  const rows = [
+    ["Device", device.name],
+    ["Vendor / product ID", `${device.vendorId}:${device.productId}`],
+    ["Connection", device.connection === 'bt' ? "Bluetooth" : "USB"],
+    ["Connected at", device.connectedAt],
+    ["NV status", nv ? nv.status : "-"],
+    ["Battery", battery ? (battery.error ? "Error" : `${battery.capacity}%${battery.charging ? " (charging)" : ""}`) : "-"],
+    ...report.info.map(({ key, value }) => [key, value]),
+  ];
+  const warnings = new Set(report.info.filter(item => item.warning).map(item => item.key));
+  return `<h2>Controller</h2>\n` + table(["", ""], rows.map(([key, value]) =>
+    [`<th>${escape_html(key)}</th>`, warnings.has(key) ? `<td class="fail">${escape_html(value)}</td>` : cell(value)]));
+}
+
+function buttons_section({ buttons }) {
+  if (!buttons) return `<h2>Buttons</h2>\n${not_run}`;
+  const rows = buttons.controls.map(control => [
+    cell(control.label),
+    html_cell(verdict(control.passed && !control.chatter)),
+    cell(control.chatter ? `Chatter x${control.chatter}` : control.min !== undefined && control.min !== null ? `${control.min}–${control.max}` : ""),
+  ]);
+  return `<h2>Buttons ${verdict(buttons.passed)}</h2>\n<p class="muted">Started at ${escape_html(buttons.startedAt)}</p>\n` +
+    table(["Control", "Result", "Notes"], rows);
+}
+
+function sticks_section({ circularity, drift, snapback }) {
+  const stick = (name) => {
+    const circ = circularity[name];
+    const drifted = drift?.[name];
+    const snap = snapback[name];
+    return [
+      circ ? `${circ.overall.error.toFixed(1)}% (${circ.overall.covered}/${circ.overall.bins} bins)` : "-",
+      drifted ? `${pct(drifted.offset)} / ${pct(drifted.peak)}` : "-",
+      drifted ? `${Math.round(drifted.deadzone * 100)}%` : "-",
+      snap ? `${snap.count} releases, worst ${pct(snap.worst)}, ${Math.round(snap.maxSettleTime)} ms` : "-",
+    ];
+  };
+  const rows = [["Left stick", "left"], ["Right stick", "right"]].map(([label, name]) => {
+    const drifted = drift?.[name];
+    return [
+      `<th>${label}</th>`,
+      ...stick(name).map(cell),
+      drifted ? html_cell(verdict(drifted.passed)) : cell("-"),
+    ];
+  });
+  const started = drift ? `<p class="muted">Drift measured over ${drift.duration / 1000} s, started at ${escape_html(drift.startedAt)}</p>\n` : "";
+  return `<h2>Sticks</h2>\n${started}` +
+    table(["", "Circularity error", "Drift offset / peak", "Suggested deadzone", "Snapback", "Drift"], rows);
+}
+
+function triggers_section({ triggers }) {
+  const rows = [["L2", triggers.l2], ["R2", triggers.r2]].map(([label, stats]) => stats ? [
+    `<th>${label}</th>`,
+    cell(stats.resting),
+    cell(stats.max),
+    cell(stats.skippedRanges.map(({ from, to }) => from === to ? `${from}` : `${from}–${to}`).join(", ") || "None"),
+    html_cell(verdict(stats.max === 255 && stats.skipped === 0)),
+  ] : [`<th>${label}</th>`, cell("-"), cell("-"), cell("-"), cell("Not run")]);
+  return `<h2>Triggers</h2>\n` + table(["", "Resting", "Max", "Skipped values", "Result"], rows);
+}
+
+/**
+* Render a report as a standalone HTML page, meant to be printed
+* @param {Object} report Report from create_diagnostic_report()
+* @returns {string} HTML document
+*/
+export function diagnostic_report_to_html(report) {
+  const title = `${report.device.name} diagnostic report`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape_html(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; font-size: 14px; margin: 2em auto; max-width: 900px; color: #212529; }
+  h1 { font-size: 1.6em; margin-bottom: 0; }
+  h2 { font-size: 1.2em; margin-top: 1.5em; border-bottom: 1px solid #dee2e6; padding-bottom: .2em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: .25em .5em; border-bottom: 1px solid #f1f3f5; vertical-align: top; }
+  .muted { color: #6c757d; }
+  .pass { color: #198754; font-weight: bold; }
+  .fail { color: #dc3545; font-weight: bold; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape_html(title)}</h1>
+<p class="muted">Generated on ${escape_html(report.created)}</p>
+${info_section(report)}
+${buttons_section(report)}
+${sticks_section(report)}
+${triggers_section(report)}
+</body>
+</html>
+`;
+}
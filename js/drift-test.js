@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+* Stick drift and noise analysis at rest
+*
+* Collects the stick positions of every input report while the sticks are
+* left alone, then measures how far from the center they sit (mean offset),
+* how much they jitter (standard deviation) and how far they wander (peak
+* excursion). Positions are in the -1..1 range used by the ControllerManager,
+* unrounded (sticks_raw) so the small offsets of a good stick stay measurable.
+*/
+
+export const DRIFT_TEST_DURATION_MS = 5000;
+
+// A stick passes when its mean offset and its peak excursion stay below these
+export const MAX_DRIFT_OFFSET = 0.05;
+export const MAX_DRIFT_PEAK = 0.10;
+
+// Margin added to the peak excursion for the recommended deadzone
+const DEADZONE_MARGIN = 0.02;
+
+export class DriftTest {
+  constructor(duration = DRIFT_TEST_DURATION_MS) {
+    this.duration = duration;
+    this.samples = { left: [], right: [] };
+    this.startTime = null;
+    this.startedAt = new Date().toISOString();
+    this.finished = false;
+  }
+
+  /**
+  * Record the stick positions of one input report
+  * @param {{left: {x, y}, right: {x, y}}} sticks Stick positions
+  * @param {number} timestamp Report time in milliseconds
+  * @returns {boolean} Whether the capture is complete
+  */
+  record(sticks, timestamp) {
+    if (this.finished || !sticks) return this.finished;
+    this.startTime ??= timestamp;
+
+    this.samples.left.push({ ...sticks.left });
+    this.samples.right.push({ ...sticks.right });
+    this.finished = timestamp - this.startTime >= this.duration;
+    return this.finished;
+  }
+
+  getProgress(timestamp) {
+    if (this.finished) return 1;
+    if (this.startTime === null) return 0;
+    return Math.min(1, (timestamp - this.startTime) / this.duration);
+  }
+
+  /**
+  * @returns {{left: Object, right: Object}} Statistics per stick, see analyze_stick_samples()
+  */
+  getResult() {
+    return { left: analyze_stick_samples(this.samples.left), right: analyze_stick_samples(this.samples.right) };
+  }
+}
+
+/**
+* Compute the drift statistics of one stick
+* @param {{x: number, y: number}[]} samples Stick positions
+* @returns {Object|null} { count, mean: {x, y}, offset, stddev, peak, deadzone, passed }, null without samples
+*/
+export function analyze_stick_samples(samples) {
+  const count = samples.length;
+  if (count === 0) return null;
+
+  const mean = {
+    x: samples.reduce((sum, s) => sum + s.x, 0) / count,
+    y: samples.reduce((sum, s) => sum + s.y, 0) / count,
+  };
+  const offset = Math.hypot(mean.x, mean.y);
+
+  // Spread around the mean position
+  const variance = samples.reduce((sum, s) => sum + (s.x - mean.x) ** 2 + (s.y - mean.y) ** 2, 0) / count;
+  const stddev = Math.sqrt(variance);
+
+  // Farthest distance from the true center
+  const peak = Math.max(...samples.map(s => Math.hypot(s.x, s.y)));
+
+  const deadzone = Math.min(1, Math.ceil((peak + DEADZONE_MARGIN) * 100) / 100);
+  const passed = offset < MAX_DRIFT_OFFSET && peak < MAX_DRIFT_PEAK;
+
+  return { count, mean, offset, stddev, peak, deadzone, passed };
+}
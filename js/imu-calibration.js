@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+* Factory calibration of the motion sensors
+*
+* DS4 (feature report 0x02 over USB, 0x05 over Bluetooth) and DualSense (0x05)
+* store the same block of signed 16-bit values after the report id:
+* gyro bias (pitch, yaw, roll), gyro readings at +/- a reference speed,
+* the reference speed, then accelerometer readings at +/- 1 g for x, y and z.
+* Only the order of the gyro readings differs: DS4 over Bluetooth groups all
+* the "plus" values first, the other reports interleave plus and minus per axis.
+*/
+
+// Nominal sensor resolution, used when the calibration is missing or unusable
+export const GYRO_RES_PER_DEG_S = 16.384; // +/- 2000 deg/s over 16 bits
+export const ACCEL_RES_PER_G = 8192;
+
+// Accepted deviation of the calibrated scale from the nominal one
+const MAX_SCALE_RATIO = 1.3;
+// Largest believable bias: ~30 deg/s for the gyro, 0.25 g for the accelerometer
+const MAX_GYRO_BIAS = 500;
+const MAX_ACCEL_BIAS = 2048;
+
+const AXES = ['x', 'y', 'z'];
+const GYRO_AXIS_NAMES = { x: 'Pitch', y: 'Yaw', z: 'Roll' };
+
+/**
+* Decode the calibration block
+* @param {DataView} view Feature report, including the report id at offset 0
+* @param {'interleaved'|'grouped'} gyroLayout Order of the gyro plus/minus readings
+* @returns {{gyro: Object, accel: Object}} Per-axis { bias, scale, ok } for both sensors,
+*   scale being deg/s (gyro) or g (accelerometer) per LSB
+*/
+export function decode_imu_calibration(view, gyroLayout = 'interleaved') {
+  const at = (i) => view.getInt16(1 + i * 2, true);
+
+  const gyroBias = [at(0), at(1), at(2)];
+  const [gyroPlus, gyroMinus] = gyroLayout === 'grouped'
+    ? [[at(3), at(4), at(5)], [at(6), at(7), at(8)]]
+    : [[at(3), at(5), at(7)], [at(4), at(6), at(8)]];
+  const speed = at(9) + at(10);
+
+  const gyro = {};
+  const accel = {};
+  AXES.forEach((axis, i) => {
+    const denom = Math.abs(gyroPlus[i] - gyroBias[i]) + Math.abs(gyroMinus[i] - gyroBias[i]);
+    gyro[axis] = check_axis(gyroBias[i], denom ? speed / denom : 0, 1 / GYRO_RES_PER_DEG_S, MAX_GYRO_BIAS);
+
+    const plus = at(11 + i * 2);
+    const minus = at(12 + i * 2);
+    const range = plus - minus;
+    accel[axis] = check_axis(plus - range / 2, range ? 2 / range : 0, 1 / ACCEL_RES_PER_G, MAX_ACCEL_BIAS);
+  });
+
+  return { gyro, accel };
+}
+
+function check_axis(bias, scale, nominalScale, maxBias) {
+  const ratio = scale / nominalScale;
+  const ok = ratio > 1 / MAX_SCALE_RATIO && ratio < MAX_SCALE_RATIO && Math.abs(bias) <= maxBias;
+  return { bias, scale, ok };
+}
+
+/**
+* Convert a raw sample, falling back to the nominal resolution on axes with a bad calibration
+* @param {{x: number, y: number, z: number}} raw Raw sample
+* @param {Object|undefined} axes Per-axis calibration, as decoded by decode_imu_calibration()
+* @param {number} nominalRes Nominal LSB per unit
+*/
+export function apply_imu_calibration(raw, axes, nominalRes) {
+  return Object.fromEntries(AXES.map(axis => {
+    const cal = axes?.[axis];
+    return [axis, cal?.ok ? (raw[axis] - cal.bias) * cal.scale : raw[axis] / nominalRes];
+  }));
+}
+
+/**
+* Describe the calibration as info panel items (category 'imu')
+*/
+export function imu_calibration_info_items(calibration) {
+  const items = [];
+  const bad = [];
+
+  for (const axis of AXES) {
+    const { bias, scale, ok } = calibration.gyro[axis];
+    const key = `Gyro ${GYRO_AXIS_NAMES[axis]}`;
+    if (!ok) bad.push(key);
+    items.push({
+      id: `gyro_${axis}_calib`, key, cat: 'imu', warning: !ok,
+      value: `bias ${bias}, ${(scale * 1000).toFixed(2)} mdeg/s per LSB`,
+    });
+  }
+  for (const axis of AXES) {
+    const { bias, scale, ok } = calibration.accel[axis];
+    const key = `Accel ${axis.toUpperCase()}`;
+    if (!ok) bad.push(key);
+    items.push({
+      id: `accel_${axis}_calib`, key, cat: 'imu', warning: !ok,
+      value: `bias ${bias}, ${scale ? (1 / scale).toFixed(0) : '-'} LSB per g`,
+    });
+  }
+
+  items.unshift({
+    id: 'imu_calib', key: 'IMU Calibration', cat: 'imu', warning: bad.length > 0,
+    value: bad.length > 0 ? `Out of range: ${bad.join(', ')} (nominal values used)` : 'OK',
+  });
+  return items;
+}
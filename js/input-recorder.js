@@ -0,0 +1,185 @@
+'use strict';
+
+import { buf2hex } from './utils.js';
+
+/**
+* Recording and replay of input sessions
+*
+* The recorder stores the raw input reports handed to the ControllerManager,
+* with their arrival time, together with what is needed to decode them again
+* (model, connection type, IMU calibration) and the controller info.
+* A replay feeds these reports to a ReplayDevice, which stands in for the
+* WebHID device, so the whole UI animates as it did live.
+*/
+
+const RECORDING_FORMAT = "dualshock-tools-recording";
+const RECORDING_VERSION = 1;
+
+// Recordings are kept in memory, stop before they get too large to save
+const MAX_REPORTS = 250 * 60 * 10;
+
+export class InputRecorder {
+  /**
+  * @param {Object} meta Device description, stored as is in the recording
+  */
+  constructor(meta) {
+    this.meta = meta;
+    this.created = new Date().toISOString();
+    this.reports = [];
+    this.startTime = null;
+  }
+
+  isFull() {
+    return this.reports.length >= MAX_REPORTS;
+  }
+
+  /**
+  * @param {number} reportId Report id
+  * @param {DataView} data Report data, without the report id
+  * @param {number} timestamp Arrival time in milliseconds
+  */
+  record(reportId, data, timestamp) {
+    if (this.isFull()) return;
+    this.startTime ??= timestamp;
+
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    this.reports.push({ t: Math.round((timestamp - this.startTime) * 100) / 100, id: reportId, data: buf2hex(bytes) });
+  }
+
+  getDuration() {
+    return this.reports.at(-1)?.t ?? 0;
+  }
+
+  toJSON() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      created: this.created,
+      ...this.meta,
+      reports: this.reports,
+    };
+  }
+}
+
+/**
+* Parse and validate a recording file
+* @param {string} text File content
+* @returns {Object} Recording
+*/
+export function parse_recording(text) {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not an input recording", { cause: error });
+  }
+
+  if (recording?.format !== RECORDING_FORMAT || !Array.isArray(recording.reports)) {
+    throw new Error("The file is not an input recording");
+  }
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+  if (recording.reports.length === 0) {
+    throw new Error("The recording is empty");
+  }
+  if (recording.connection !== 'usb' && recording.connection !== 'bt') {
+    throw new Error(`Invalid connection type in the recording: ${recording.connection}`);
+  }
+  if (!Number.isInteger(recording.vendorId) || !Number.isInteger(recording.productId)) {
+    throw new Error("The recording has no valid vendor and product ID");
+  }
+  const invalid = recording.reports.findIndex(report => !Number.isFinite(report?.t) ||
+    !Number.isInteger(report.id) || typeof report.data !== 'string' || !/^([0-9a-f]{2})*$/i.test(report.data));
+  if (invalid !== -1) {
+    throw new Error(`Invalid report #${invalid + 1} in the recording`);
+  }
+  return recording;
+}
+
+function hex_to_view(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return new DataView(bytes.buffer);
+}
+
+/**
+* Stand-in for the WebHID device of a recording. Output reports are accepted and
+* dropped; feature reports can't be answered, so they fail.
+*/
+export class ReplayDevice {
+  constructor(recording) {
+    this.vendorId = recording.vendorId;
+    this.productId = recording.productId;
+    this.productName = `Replay of ${recording.created}`;
+    this.collections = [];
+    this.opened = true;
+    this.oninputreport = null;
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this.opened = false;
+  }
+
+  async sendReport() {}
+
+  async sendFeatureReport() {
+    throw new Error("Feature reports are not available while replaying a recording");
+  }
+
+  async receiveFeatureReport() {
+    throw new Error("Feature reports are not available while replaying a recording");
+  }
+}
+
+/**
+* Feeds the reports of a recording to a ReplayDevice, at their original pace
+*/
+export class RecordingPlayer {
+  constructor(device, recording) {
+    this.device = device;
+    this.reports = recording.reports.map(({ t, id, data }) => ({ t, id, data: hex_to_view(data) }));
+    this.timer = null;
+  }
+
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+  * @param {Function} onEnd Called once the last report has been played
+  */
+  play(onEnd = null) {
+    this.stop();
+    const start = performance.now();
+    let next = 0;
+
+    const step = () => {
+      // Timers are coarse: send every report that is due, then wait for the next one
+      const elapsed = performance.now() - start;
+      while (next < this.reports.length && this.reports[next].t <= elapsed) {
+        const { id, data } = this.reports[next++];
+        this.device.oninputreport?.({ data, reportId: id, device: this.device });
+      }
+
+      if (next >= this.reports.length) {
+        this.timer = null;
+        onEnd?.();
+        return;
+      }
+      this.timer = setTimeout(step, Math.max(0, this.reports[next].t - (performance.now() - start)));
+    };
+    this.timer = setTimeout(step, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
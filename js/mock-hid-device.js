@@ -0,0 +1,323 @@
+'use strict';
+
+import { crc32 } from './utils.js';
+
+/**
+* Virtual WebHID device
+*
+* Behaves like a DualShock 4 (V1/V2), DualSense or DualSense Edge connected
+* over USB or Bluetooth: it answers the feature reports the controller
+* classes use (info, Bluetooth address, NV status, stick calibration,
+* calibration commands, IMU calibration, Edge profiles) and sends idle
+* input reports while open. It lets the whole app and the controller
+* classes run without hardware.
+*/
+
+const SONY_VENDOR_ID = 0x054c;
+
+export const MOCK_PROFILES = {
+  ds4v1: { productId: 0x05c4, family: 'ds4', name: "DualShock 4 V1", hwVersion: 0x3100 },
+  ds4v2: { productId: 0x09cc, family: 'ds4', name: "DualShock 4 V2", hwVersion: 0x6400 },
+  ds5: { productId: 0x0ce6, family: 'ds5', name: "DualSense", hwInfo: 0x00000400 },
+  ds5edge: { productId: 0x0df2, family: 'ds5', name: "DualSense Edge", hwInfo: 0x00000700 },
+};
+
+// Payload length (without report id) of the feature reports of each family
+const FEATURE_REPORT_SIZES = {
+  ds4: { 0x02: 36, 0x05: 40, 0x08: 3, 0x11: 2, 0x12: 15, 0x90: 5, 0x91: 3, 0x92: 3, 0xa0: 6, 0xa3: 48 },
+  ds5: {
+    0x05: 40, 0x20: 63, 0x80: 63, 0x81: 63, 0x82: 63, 0x83: 63,
+    ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [0x70 + i, 63])),
+  },
+};
+
+// Input report layout, on top of the USB payload offsets
+const INPUT_LAYOUT = {
+  ds4: { usbLength: 63, btId: 0x11, btOffset: 2, dpad: 4, battery: 29, touch: [34, 38], accel: 18, batteryValue: 0x1b },
+  ds5: { usbLength: 63, btId: 0x31, btOffset: 1, dpad: 7, battery: 52, touch: [32, 36], accel: 21, batteryValue: 0x2a },
+};
+
+// Gyro bias, gyro +/- readings (interleaved), reference speed, accelerometer +/- 1 g readings.
+// The axes read clearly different values, so pairing the wrong readings changes the scale.
+export const IMU_CALIBRATION = [
+  -2, 3, 1,
+  8900, -8850, 9400, -9300, 8400, -8500,
+  540, 540,
+  8200, -8150, 8190, -8210, 8180, -8230,
+];
+
+const SYSTEM_INFO = {
+  9: [0x30, 0x41, 0x12, 0x55, 0x78, 0x9a, 0x01, 0x02, 0x03],
+  17: "A1B2C3D4E5F607",
+  19: "MOCK0000000000001",
+  24: "BAT-MOCK-00000000000001",
+  26: "VCM-L-0000000001",
+  28: "VCM-R-0000000001",
+};
+
+const INPUT_INTERVAL_MS = 10;
+
+function ascii(text) {
+  return [...text].map(c => c.charCodeAt(0));
+}
+
+export class MockHidDevice {
+  /**
+  * @param {string} profile One of the MOCK_PROFILES keys
+  * @param {Object} opts Options
+  * @param {'usb'|'bt'} opts.connection Connection to simulate
+  * @param {boolean} opts.locked Initial NVS state
+  * @param {boolean} opts.pendingReboot DualSense: report that a reboot is needed after a calibration
+  * @param {boolean} opts.clone DS4: truncate the 0xa3 version report, like many clones do
+  */
+  constructor(profile = 'ds5', { connection = 'usb', locked = true, pendingReboot = false, clone = false } = {}) {
+    const definition = MOCK_PROFILES[profile];
+    if (!definition) throw new Error(`Unknown mock profile: ${profile}`);
+
+    this.profile = definition;
+    this.family = definition.family;
+    this.connection = connection;
+    this.vendorId = SONY_VENDOR_ID;
+    this.productId = definition.productId;
+    this.productName = `Virtual ${definition.name}`;
+    // DS4 feature reports grow by a trailing CRC-32 over Bluetooth
+    const crcSize = (this.family === 'ds4' && connection === 'bt') ? 4 : 0;
+    this.featureReportSizes = Object.fromEntries(
+      Object.entries(FEATURE_REPORT_SIZES[this.family]).map(([id, size]) => [id, size + crcSize]));
+    this.collections = [{
+      featureReports: Object.entries(this.featureReportSizes).map(([id, size]) => ({
+        reportId: Number(id),
+        items: [{ reportCount: size }],
+      })),
+    }];
+
+    this.opened = false;
+    this.oninputreport = null;
+    this.locked = locked;
+    this.pendingReboot = pendingReboot;
+    this.clone = clone;
+    this.stickCalibration = [0x800, 0x800, 0x800, 0x800, 0x780, 0x780, 0x780, 0x780, 0x780, 0x780, 0x780, 0x780];
+
+    // Every sent report, for tests: { type: 'output'|'feature', reportId, data }
+    this.sentReports = [];
+    this._pendingReplies = {};
+    this._inputOverrides = new Map();
+    this._inputTimer = null;
+    this._sequence = 0;
+  }
+
+  async open() {
+    this.opened = true;
+    this._inputTimer ??= setInterval(() => this.emitInputReport(), INPUT_INTERVAL_MS);
+  }
+
+  async close() {
+    this.opened = false;
+    clearInterval(this._inputTimer);
+    this._inputTimer = null;
+  }
+
+  async sendReport(reportId, data) {
+    this._checkOpen();
+    this.sentReports.push({ type: 'output', reportId, data: new Uint8Array(data) });
+  }
+
+  async sendFeatureReport(reportId, data) {
+    this._checkOpen();
+    const bytes = new Uint8Array(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength ?? data.length);
+    this.sentReports.push({ type: 'feature', reportId, data: new Uint8Array(bytes) });
+
+    if (this.family === 'ds4') this._handleDs4Command(reportId, bytes);
+    else this._handleDs5Command(reportId, bytes);
+  }
+
+  async receiveFeatureReport(reportId) {
+    this._checkOpen();
+    const size = this.featureReportSizes[reportId];
+    if (size === undefined) {
+      throw new Error(`Unsupported feature report: 0x${reportId.toString(16)}`);
+    }
+
+    const out = new Uint8Array(size + 1);
+    out[0] = reportId;
+    out.set(this._featureReportPayload(reportId).slice(0, size), 1);
+
+    const length = (this.clone && reportId === 0xa3) ? 32 : out.length;
+    return new DataView(out.buffer.slice(0, length));
+  }
+
+  /**
+  * Override bytes of the input reports, at USB payload offsets (e.g. sticks at 0-3)
+  * @param {number} offset Offset in the USB input report payload
+  * @param {number[]} bytes Values to use from now on
+  */
+  setInputBytes(offset, bytes) {
+    bytes.forEach((value, i) => this._inputOverrides.set(offset + i, value));
+  }
+
+  /**
+  * Send one input report to oninputreport
+  */
+  emitInputReport() {
+    if (!this.opened) return;
+    const { reportId, data } = this.buildInputReport();
+    this.oninputreport?.({ data, reportId, device: this });
+  }
+
+  buildInputReport() {
+    const layout = INPUT_LAYOUT[this.family];
+    const payload = new Uint8Array(layout.usbLength);
+    payload.set([0x80, 0x80, 0x80, 0x80]);
+    payload[layout.dpad] = 0x08;
+    payload[layout.battery] = layout.batteryValue;
+    for (const touch of layout.touch) payload[touch] = 0x80;
+    // The accelerometer measures 1 g upwards when lying flat
+    new DataView(payload.buffer).setInt16(layout.accel + 2, 8192, true);
+    for (const [offset, value] of this._inputOverrides) payload[offset] = value;
+
+    if (this.connection !== 'bt') {
+      return { reportId: 0x01, data: new DataView(payload.buffer) };
+    }
+
+    const out = new Uint8Array(77);
+    if (this.family === 'ds4') {
+      out.set([0xc0, 0x00]);
+    } else {
+      out[0] = (this._sequence++ & 0x0f) << 4;
+    }
+    out.set(payload.slice(0, out.length - 4 - layout.btOffset), layout.btOffset);
+    const crc = crc32(0xA1, [layout.btId, ...out.slice(0, out.length - 4)]);
+    new DataView(out.buffer).setUint32(out.length - 4, crc, true);
+    return { reportId: layout.btId, data: new DataView(out.buffer) };
+  }
+
+  _checkOpen() {
+    if (!this.opened) throw new Error("The device is not open");
+  }
+
+  _handleDs4Command(reportId, data) {
+    if (reportId === 0xa0 && data[0] === 10) {
+      if (data[1] === 1) this.locked = true;
+      if (data[1] === 2) this.locked = false;
+    } else if (reportId === 0x90) {
+      // Begin/end keep their own code, samples answer like a begin
+      const [action, , target] = data;
+      this._pendingReplies[0x91] = [0x01, target, action === 3 ? 1 : action];
+      this._pendingReplies[0x92] = [0x01, target, action === 2 ? 0x01 : 0xff];
+    }
+  }
+
+  _handleDs5Command(reportId, data) {
+    if (reportId === 0x82) {
+      const [action, , target] = data;
+      this._pendingReplies[0x83] = [0x01, target, action === 3 ? 1 : action];
+      return;
+    }
+    if (reportId !== 0x80) return;
+
+    const [cmd, sub] = data;
+    const reply = (payload) => { this._pendingReplies[0x81] = [cmd, sub, 2, ...payload]; };
+
+    if (cmd === 3) {
+      if (sub === 1) this.locked = true;
+      // The unlock command carries a fixed key, it is refused without it
+      const unlocked = sub === 2 && [...data.slice(2, 6)].join() === "101,50,64,12";
+      if (unlocked) this.locked = false;
+      if (sub === 1 || sub === 2) this._pendingReplies[0x83] = [cmd, sub, sub === 1 || unlocked ? 2 : 1];
+      if (sub === 3) {
+        this._pendingReplies[0x81] = this.pendingReboot ? [0x15, 0x01, 0x01, 0x00] : [0x03, 0x03, 0x02, this.locked ? 1 : 0];
+      } else {
+        reply([]);
+      }
+    } else if (cmd === 9 && sub === 2) {
+      reply([0x56, 0x34, 0x12, 0xef, 0xcd, 0xab]);
+    } else if (cmd === 1) {
+      const info = SYSTEM_INFO[sub] ?? [];
+      reply(typeof info === 'string' ? ascii(info) : info);
+    } else if (cmd === 12 && sub === 1) {
+      const view = new DataView(data.buffer, data.byteOffset + 2, 24);
+      this.stickCalibration = Array.from({ length: 12 }, (_, i) => view.getUint16(i * 2, true));
+      reply([]);
+    } else if (cmd === 12) {
+      reply(this.stickCalibration.flatMap(v => [v & 0xff, v >> 8]));
+    }
+  }
+
+  _featureReportPayload(reportId) {
+    if (reportId in this._pendingReplies) {
+      return this._pendingReplies[reportId];
+    }
+
+    if (reportId === 0x02 || reportId === 0x05) return this._imuCalibration(reportId);
+
+    if (this.family === 'ds4') {
+      switch (reportId) {
+        case 0x11: return [this.locked ? 1 : 0];
+        case 0x12: return [0x56, 0x34, 0x12, 0xef, 0xcd, 0xab];
+        case 0xa3: return this._ds4VersionReport();
+      }
+    } else {
+      if (reportId === 0x20) return this._ds5InfoReport();
+      if (reportId >= 0x70 && reportId < 0x7c) return this._edgeProfileReport(reportId);
+    }
+    return [];
+  }
+
+  _imuCalibration(reportId) {
+    const values = [...IMU_CALIBRATION];
+    if (this.family === 'ds4' && reportId === 0x05) {
+      // Layout of the Linux hid-playstation driver: DS4 over Bluetooth groups the "plus" readings first
+      const [pp, pm, yp, ym, rp, rm] = values.slice(3, 9);
+      values.splice(3, 6, pp, yp, rp, pm, ym, rm);
+    }
+    const out = new Uint8Array(values.length * 2);
+    const view = new DataView(out.buffer);
+    values.forEach((v, i) => view.setInt16(i * 2, v, true));
+    return [...out];
+  }
+
+  _ds4VersionReport() {
+    const out = new Uint8Array(48);
+    const view = new DataView(out.buffer);
+    out.set(ascii("Sep 21 2018"), 0);
+    out.set(ascii("04:50:51"), 0x0f);
+    view.setUint16(0x20, 0x0100, true);
+    view.setUint16(0x22, this.profile.hwVersion, true);
+    view.setUint32(0x24, 0x0000b400, true);
+    view.setUint16(0x28, 0x0001, true);
+    return [...out];
+  }
+
+  _ds5InfoReport() {
+    const out = new Uint8Array(63);
+    const view = new DataView(out.buffer);
+    out.set(ascii("Jun 10 2024"), 0);
+    out.set(ascii("12:00:00"), 11);
+    view.setUint16(19, 0x0044, true);
+    view.setUint16(21, 0x0004, true);
+    view.setUint32(23, this.profile.hwInfo, true);
+    view.setUint32(27, 0x01000218, true);
+    view.setUint16(43, 0x0224, true);
+    view.setUint32(47, 0x00010002, true);
+    view.setUint32(51, 0x00040010, true);
+    view.setUint32(55, 0x00010008, true);
+    return [...out];
+  }
+
+  _edgeProfileReport(reportId) {
+    const index = reportId - 0x70;
+    const out = new Uint8Array(63);
+    out[0] = index % 3;
+    // Only the default slot holds a profile. Each part carries 58 bytes of the profile:
+    // the UTF-16LE name starts the first one, full trigger ranges end the second one,
+    // and an unchanged button map starts the third one.
+    if (index === 0) {
+      [..."Default"].forEach((c, i) => { out[1 + i * 2] = c.charCodeAt(0); });
+    } else if (index === 1) {
+      out.set([0, 255, 0, 255], 1 + 54);
+    } else if (index === 2) {
+      out.set(Array.from({ length: 16 }, (_, i) => i), 1);
+    }
+    return [...out];
+  }
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+const SAMPLE_COUNT = 4;
+
+const STEP_TEXT = {
+  intro: "Put the controller on a flat surface and don't touch the sticks. Press Start to begin the stick center calibration.",
+  sample: (n) => `Move both sticks fully in any direction, release them and let them settle, then press Sample (${n}/${SAMPLE_COUNT}).`,
+  verify: "The new center has been stored. Press Done, then leave the sticks at rest and check in the Joystick Info panel that both dots stay inside the inner circle.",
+};
+
+/**
+ * Guided stick center calibration: begin, sample the resting position a few
+ * times, write it to the controller, then check the result in center zoom mode.
+ */
+export class CalibCenterModal {
+  constructor(controller, { setDisplayMode }, doneCallback = null) {
+    this.controller = controller;
+    this.setDisplayMode = setDisplayMode;
+    this.doneCallback = doneCallback;
+
+    this.samples = 0;
+    this.state = "intro";
+    this.busy = false;
+  }
+
+  async open() {
+    $("#calibCenterNext").off('click').on('click', () => this.next());
+    $("#calibCenterModal").off('hidden.bs.modal').on('hidden.bs.modal', () => this._onClose());
+
+    this._render();
+    bootstrap.Modal.getOrCreateInstance('#calibCenterModal').show();
+  }
+
+  async next() {
+    if (this.busy) return;
+
+    this.busy = true;
+    this._render();
+    try {
+      switch (this.state) {
+        case "intro":
+          await this._run("Starting calibration", () => this.controller.calibrateSticksBegin());
+          this.state = "sample";
+          break;
+        case "sample":
+          await this._run("Sampling center", () => this.controller.calibrateSticksSample());
+          if (++this.samples === SAMPLE_COUNT) {
+            await this._run("Storing calibration", () => this.controller.calibrateSticksEnd());
+            this.state = "verify";
+            this.setDisplayMode("center");
+          }
+          break;
+        case "verify":
+          this.state = "done";
+          bootstrap.Modal.getOrCreateInstance('#calibCenterModal').hide();
+          break;
+      }
+    } catch (error) {
+      this.state = "error";
+      $("#calibCenterError").text(error.message).show();
+    } finally {
+      this.busy = false;
+      this._render();
+    }
+  }
+
+  async _run(label, command) {
+    $("#calibCenterText").text(label + "...");
+    const result = await command();
+    if (!result.ok) {
+      console.error(result.error);
+      throw new Error(`${label} failed: ${result.error?.message || "unknown error"}`);
+    }
+  }
+
+  _progress() {
+    switch (this.state) {
+      case "intro": return 0;
+      case "sample": return 10 + 80 * this.samples / SAMPLE_COUNT;
+      default: return 100;
+    }
+  }
+
+  _render() {
+    $("#calibCenterProgress").css('width', this._progress() + '%');
+    $("#calibCenterNext").prop('disabled', this.busy).toggle(this.state !== "error");
+    // Once started, the calibration has to be completed before the dialog can be closed
+    $("#calibCenterCancel").toggle(this.state === "intro" || this.state === "error");
+    if (this.busy) return;
+
+    if (this.state !== "error") {
+      $("#calibCenterError").hide();
+    }
+
+    switch (this.state) {
+      case "intro":
+        $("#calibCenterText").text(STEP_TEXT.intro);
+        $("#calibCenterNext").text("Start");
+        break;
+      case "sample":
+        $("#calibCenterText").text(STEP_TEXT.sample(this.samples + 1));
+        $("#calibCenterNext").text("Sample");
+        break;
+      case "verify":
+        $("#calibCenterText").text(STEP_TEXT.verify);
+        $("#calibCenterNext").text("Done");
+        break;
+      case "error":
+        $("#calibCenterText").text("The calibration was not completed. Reconnect the controller before trying again.");
+        break;
+    }
+  }
+
+  _onClose() {
+    const success = this.state === "verify" || this.state === "done";
+    this.doneCallback?.(success);
+  }
+}
+
+export async function calibrate_stick_centering(controller, dependencies, doneCallback = null) {
+  const modal = new CalibCenterModal(controller, dependencies, doneCallback);
+  await modal.open();
+}
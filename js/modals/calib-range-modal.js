@@ -0,0 +1,176 @@
+'use strict';
+
+import {
+  draw_stick_position,
+  calculateCircularityError,
+  calculateCircularityCoverage,
+} from '../stick-renderer.js';
+
+// Share of the circle both sticks must cover before the new range is written
+const MIN_COVERAGE = 0.9;
+
+const STEP_TEXT = {
+  intro: "The range calibration teaches the controller how far each stick can travel. The circularity error is measured before and after, so you can compare.",
+  before: "Rotate both sticks slowly along their outer edge a few times to measure the current circularity, then press Next.",
+  calibrating: "Calibration in progress. Rotate both sticks slowly along their outer edge several times until the whole circle is covered, then press Finish.",
+  after: "The new range has been stored. Rotate both sticks along their outer edge again to measure the result, then press Next.",
+  result: "Range calibration completed.",
+};
+
+/**
+ * Guided stick range calibration. The circularity overlay is drawn live inside
+ * the dialog while the user rotates the sticks.
+ */
+export class CalibRangeModal {
+  constructor(controller, { resetStickDiagrams, getCircularityData, showWarning }, doneCallback = null) {
+    this.controller = controller;
+    this.resetStickDiagrams = resetStickDiagrams;
+    this.getCircularityData = getCircularityData;
+    this.showWarning = showWarning;
+    this.doneCallback = doneCallback;
+
+    this.state = "intro";
+    this.busy = false;
+    this.before = null;
+    this.after = null;
+    this.timer = null;
+  }
+
+  async open() {
+    $("#calibRangeNext").off('click').on('click', () => this.next());
+    $("#calibRangeModal").off('hidden.bs.modal').on('hidden.bs.modal', () => this._onClose());
+    $("#calibRangeWarning").toggle(this.showWarning);
+
+    this._render();
+    this.timer = setInterval(() => this._refresh(), 50);
+    bootstrap.Modal.getOrCreateInstance('#calibRangeModal').show();
+  }
+
+  async next() {
+    if (this.busy) return;
+
+    this.busy = true;
+    this._render();
+    try {
+      switch (this.state) {
+        case "intro":
+          this.resetStickDiagrams();
+          this.state = "before";
+          break;
+        case "before":
+          this.before = this._measure();
+          await this._run("Starting range calibration", () => this.controller.calibrateRangeBegin());
+          this.resetStickDiagrams();
+          this.state = "calibrating";
+          break;
+        case "calibrating":
+          await this._run("Storing range calibration", () => this.controller.calibrateRangeEnd());
+          this.resetStickDiagrams();
+          this.state = "after";
+          break;
+        case "after":
+          this.after = this._measure();
+          this.state = "result";
+          break;
+        case "result":
+          bootstrap.Modal.getOrCreateInstance('#calibRangeModal').hide();
+          break;
+      }
+    } catch (error) {
+      this.state = "error";
+      $("#calibRangeError").text(error.message).show();
+    } finally {
+      this.busy = false;
+      this._render();
+    }
+  }
+
+  async _run(label, command) {
+    $("#calibRangeText").text(label + "...");
+    const result = await command();
+    if (!result.ok) {
+      console.error(result.error);
+      throw new Error(`${label} failed: ${result.error?.message || "unknown error"}`);
+    }
+  }
+
+  /**
+   * Circularity error of each stick, or null when the circle wasn't covered enough to tell.
+   */
+  _measure() {
+    const { left, right } = this.getCircularityData();
+    const error = (data) => calculateCircularityCoverage(data) >= MIN_COVERAGE ? calculateCircularityError(data) : null;
+    return { left: error(left), right: error(right) };
+  }
+
+  _coverage() {
+    const { left, right } = this.getCircularityData();
+    return Math.min(calculateCircularityCoverage(left), calculateCircularityCoverage(right));
+  }
+
+  _refresh() {
+    const c = document.getElementById("calibRangeCanvas");
+    const ctx = c.getContext("2d");
+    const sz = 60;
+    const hb = 20 + sz;
+    const yb = 15 + sz;
+    ctx.clearRect(0, 0, c.width, c.height);
+
+    const { left, right } = this.getCircularityData();
+    const { left: l, right: r } = this.controller.button_states.sticks;
+    const showOverlay = ["before", "calibrating", "after"].includes(this.state);
+    draw_stick_position(ctx, hb, yb, sz, l.x, l.y, { circularity_data: showOverlay ? left : null });
+    draw_stick_position(ctx, c.width - hb, yb, sz, r.x, r.y, { circularity_data: showOverlay ? right : null });
+
+    if (showOverlay) {
+      const coverage = this._coverage();
+      $("#calibRangeCoverage").text(`Coverage: ${Math.round(coverage * 100)} %`);
+      if (this.state === "calibrating" && !this.busy) {
+        $("#calibRangeNext").prop('disabled', coverage < MIN_COVERAGE);
+      }
+    } else {
+      $("#calibRangeCoverage").text("");
+    }
+  }
+
+  _render() {
+    const progress = { intro: 0, before: 20, calibrating: 45, after: 75 }[this.state] ?? 100;
+    $("#calibRangeProgress").css('width', progress + '%');
+    $("#calibRangeNext").prop('disabled', this.busy).toggle(this.state !== "error");
+    // Once started, the calibration has to be completed before the dialog can be closed
+    $("#calibRangeCancel").toggle(["intro", "before", "error"].includes(this.state));
+    $("#calibRangeResult").toggle(this.state === "result");
+    if (this.busy) return;
+
+    if (this.state !== "error") {
+      $("#calibRangeError").hide();
+    }
+
+    if (this.state === "error") {
+      $("#calibRangeText").text("The range calibration was not completed. Reconnect the controller before trying again.");
+      return;
+    }
+
+    $("#calibRangeText").text(STEP_TEXT[this.state]);
+    $("#calibRangeNext").text({ intro: "Start", calibrating: "Finish", result: "Done" }[this.state] ?? "Next");
+
+    if (this.state === "result") {
+      const fmt = (v) => v === null ? "n/a" : `${v.toFixed(1)} %`;
+      for (const stick of ["left", "right"]) {
+        $(`#calibRange-${stick}-before`).text(fmt(this.before[stick]));
+        $(`#calibRange-${stick}-after`).text(fmt(this.after[stick]));
+      }
+    }
+  }
+
+  _onClose() {
+    clearInterval(this.timer);
+    this.resetStickDiagrams();
+    this.doneCallback?.(this.state === "result" ? { before: this.before, after: this.after } : null);
+  }
+}
+
+export async function calibrate_range(controller, dependencies, doneCallback = null) {
+  const modal = new CalibRangeModal(controller, dependencies, doneCallback);
+  await modal.open();
+}
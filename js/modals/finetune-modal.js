@@ -0,0 +1,221 @@
+'use strict';
+
+import {
+  draw_stick_position,
+  calculateCircularityError,
+  calculateCircularityCoverage,
+} from '../stick-renderer.js';
+
+// Order of the values returned by readStickCalibration()
+const FINETUNE_FIELDS = ["LL", "LT", "RL", "RT", "LR", "LB", "RR", "RB", "LX", "LY", "RX", "RY"];
+
+const FINETUNE_LABELS = {
+  LL: "Left stick, left", LT: "Left stick, top", LR: "Left stick, right", LB: "Left stick, bottom",
+  RL: "Right stick, left", RT: "Right stick, top", RR: "Right stick, right", RB: "Right stick, bottom",
+  LX: "Left stick, center X", LY: "Left stick, center Y", RX: "Right stick, center X", RY: "Right stick, center Y",
+};
+
+const MIN_COVERAGE = 0.9;
+
+// There is no known command to read the factory fine-tune values back, so the
+// values found the first time the editor is opened on a controller are kept,
+// per serial number, as its original values
+const ORIGINAL_VALUES_PREFIX = "finetune-original:";
+
+/**
+ * Editor for the DualSense Edge stick fine-tune values. Changes are written
+ * live, so their effect shows right away in the stick preview.
+ */
+export class FinetuneModal {
+  constructor(controller, { resetStickDiagrams, getCircularityData, serial = null }, doneCallback = null) {
+    this.controller = controller;
+    this.resetStickDiagrams = resetStickDiagrams;
+    this.getCircularityData = getCircularityData;
+    this.serial = serial;
+    this.doneCallback = doneCallback;
+
+    this.maxValue = controller.getFinetuneMaxValue();
+    this.stored = null;
+    this.original = null;
+    this.values = null;
+    this.before = null;
+    this.after = null;
+    this.writeTimer = null;
+    this.refreshTimer = null;
+  }
+
+  async open() {
+    $("#finetuneError").hide();
+    $("#finetuneRevert").off('click').on('click', () => this.revert());
+    $("#finetuneOriginal").off('click').on('click', () => this.restoreOriginal());
+    $("#finetuneClear").off('click').on('click', () => this.resetStickDiagrams());
+    $("#finetuneBefore").off('click').on('click', () => this._record('before'));
+    $("#finetuneAfter").off('click').on('click', () => this._record('after'));
+    $("#finetuneModal").off('hidden.bs.modal').on('hidden.bs.modal', () => this._onClose());
+
+    try {
+      this.stored = await this.controller.readStickCalibration();
+      const invalid = this.stored.filter(v => !this._isValid(v));
+      if (invalid.length > 0) {
+        throw new Error(`The controller returned out-of-range values: ${invalid.join(", ")}`);
+      }
+    } catch (error) {
+      console.error(error);
+      this._showError(`Failed to read the fine-tune values: ${error.message}`);
+      this.stored = null;
+    }
+    this.original = this.stored ? this._loadOriginal() : null;
+    $("#finetuneOriginal").prop('disabled', !this.original);
+
+    this.values = this.stored ? [...this.stored] : null;
+    this._buildInputs();
+    this._renderComparison();
+    this.resetStickDiagrams();
+    this.refreshTimer = setInterval(() => this._refresh(), 50);
+    bootstrap.Modal.getOrCreateInstance('#finetuneModal').show();
+  }
+
+  _isValid(value) {
+    return Number.isInteger(value) && value >= 0 && value <= this.maxValue;
+  }
+
+  _buildInputs() {
+    const container = $("#finetuneInputs").empty();
+    if (!this.values) return;
+
+    FINETUNE_FIELDS.forEach((field, i) => {
+      const input = $('<input type="number" class="form-control form-control-sm">')
+        .attr({ min: 0, max: this.maxValue, step: 1, id: `finetune-${field}` })
+        .val(this.values[i])
+        .on('input', (e) => this._onInput(i, e.target));
+      const label = $('<label class="form-label small mb-0"></label>')
+        .attr('for', `finetune-${field}`)
+        .text(FINETUNE_LABELS[field]);
+      container.append($('<div class="col-6 col-md-3"></div>').append(label, input));
+    });
+  }
+
+  _onInput(index, input) {
+    const value = Number(input.value);
+    const valid = input.value !== "" && this._isValid(value);
+    $(input).toggleClass('is-invalid', !valid);
+    if (!valid) return;
+
+    this.values[index] = value;
+    this._scheduleWrite();
+  }
+
+  _scheduleWrite() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this._write();
+    }, 100);
+  }
+
+  async _write() {
+    try {
+      await this.controller.writeStickCalibration(this.values);
+      $("#finetuneError").hide();
+    } catch (error) {
+      console.error(error);
+      this._showError(`Failed to write the fine-tune values: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the original values of the controller, recording the current ones
+   * if it was never seen before. Null without a serial number or storage.
+   */
+  _loadOriginal() {
+    if (!this.serial || this.serial === "error" || !globalThis.localStorage) return null;
+    const key = ORIGINAL_VALUES_PREFIX + this.serial;
+    try {
+      const original = JSON.parse(localStorage.getItem(key));
+      if (Array.isArray(original) && original.length === FINETUNE_FIELDS.length && original.every(v => this._isValid(v))) {
+        return original;
+      }
+      localStorage.setItem(key, JSON.stringify(this.stored));
+      return [...this.stored];
+    } catch (error) {
+      console.warn("Failed to access the original fine-tune values", error);
+      return null;
+    }
+  }
+
+  /**
+   * Restores the values read when the editor was opened.
+   */
+  async revert() {
+    await this._apply(this.stored);
+  }
+
+  /**
+   * Restores the values found the first time the editor was opened on this controller.
+   */
+  async restoreOriginal() {
+    await this._apply(this.original);
+  }
+
+  async _apply(values) {
+    if (!values) return;
+
+    this.values = [...values];
+    this._buildInputs();
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    await this._write();
+    this.resetStickDiagrams();
+  }
+
+  _record(which) {
+    const { left, right } = this.getCircularityData();
+    const error = (data) => calculateCircularityCoverage(data) >= MIN_COVERAGE ? calculateCircularityError(data) : null;
+    this[which] = { left: error(left), right: error(right) };
+    this._renderComparison();
+    this.resetStickDiagrams();
+  }
+
+  _renderComparison() {
+    const fmt = (v) => v === null || v === undefined ? "–" : `${v.toFixed(1)} %`;
+    for (const stick of ["left", "right"]) {
+      $(`#finetune-${stick}-before`).text(fmt(this.before?.[stick]));
+      $(`#finetune-${stick}-after`).text(fmt(this.after?.[stick]));
+    }
+  }
+
+  _refresh() {
+    const c = document.getElementById("finetuneCanvas");
+    const ctx = c.getContext("2d");
+    const sz = 60;
+    const hb = 20 + sz;
+    const yb = 15 + sz;
+    ctx.clearRect(0, 0, c.width, c.height);
+
+    const { left, right } = this.getCircularityData();
+    const { left: l, right: r } = this.controller.button_states.sticks;
+    draw_stick_position(ctx, hb, yb, sz, l.x, l.y, { circularity_data: left });
+    draw_stick_position(ctx, c.width - hb, yb, sz, r.x, r.y, { circularity_data: right });
+  }
+
+  _showError(message) {
+    $("#finetuneError").text(message).show();
+  }
+
+  _onClose() {
+    clearInterval(this.refreshTimer);
+    if (this.writeTimer) {
+      // Don't drop the last edit
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this._write();
+    }
+    this.resetStickDiagrams();
+    this.doneCallback?.({ before: this.before, after: this.after });
+  }
+}
+
+export async function finetune_sticks(controller, dependencies, doneCallback = null) {
+  const modal = new FinetuneModal(controller, dependencies, doneCallback);
+  await modal.open();
+}
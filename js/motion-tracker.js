@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+* Estimates the controller orientation from the motion sensors.
+*
+* Pitch and roll combine the integrated gyroscope with the gravity direction
+* measured by the accelerometer (complementary filter), so they do not drift.
+* Yaw has no absolute reference and is only integrated: it drifts slowly and
+* can be zeroed with resetHeading().
+*
+* Axes follow the controller: x to the right, y up, z towards the player.
+*/
+
+// Weight of the gyroscope in the complementary filter
+const GYRO_WEIGHT = 0.98;
+// Longer gaps (e.g. a paused tab) are not integrated
+const MAX_STEP_SECONDS = 0.1;
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export class MotionTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.pitch = 0;
+    this.yaw = 0;
+    this.roll = 0;
+    this.lastTimestamp = null;
+  }
+
+  resetHeading() {
+    this.yaw = 0;
+  }
+
+  /**
+  * Feed one sensor sample
+  * @param {{x: number, y: number, z: number}} gyro Angular velocity in deg/s
+  * @param {{x: number, y: number, z: number}} accel Acceleration in g
+  * @param {number} timestamp Sample time in milliseconds
+  */
+  update(gyro, accel, timestamp) {
+    const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestamp;
+    if (dt <= 0 || dt > MAX_STEP_SECONDS) return;
+
+    this.pitch += gyro.x * DEG_TO_RAD * dt;
+    this.yaw += gyro.y * DEG_TO_RAD * dt;
+    this.roll += gyro.z * DEG_TO_RAD * dt;
+
+    // Only trust the accelerometer when it measures roughly 1 g, i.e. the controller is not being shaken
+    const magnitude = Math.hypot(accel.x, accel.y, accel.z);
+    if (magnitude > 0.8 && magnitude < 1.2) {
+      const accelPitch = Math.atan2(-accel.z, accel.y);
+      const accelRoll = Math.atan2(accel.x, accel.y);
+      this.pitch = blend_angle(this.pitch, accelPitch);
+      this.roll = blend_angle(this.roll, accelRoll);
+    }
+  }
+
+  /**
+  * @returns {{pitch: number, yaw: number, roll: number}} Angles in radians
+  */
+  getOrientation() {
+    return { pitch: this.pitch, yaw: this.yaw, roll: this.roll };
+  }
+}
+
+// Blend towards the reference along the shortest way around the circle
+function blend_angle(angle, reference) {
+  const diff = Math.atan2(Math.sin(reference - angle), Math.cos(reference - angle));
+  return angle + diff * (1 - GYRO_WEIGHT);
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+// Controller body as a flat box (width, thickness, depth), in arbitrary units
+const BODY = { w: 1.6, h: 0.25, d: 0.9 };
+const CAMERA_DISTANCE = 5;
+
+function rotate(p, { pitch, yaw, roll }) {
+    // Roll around z, then pitch around x, then yaw around y
+    let [x, y, z] = p;
+    [x, y] = [x * Math.cos(roll) - y * Math.sin(roll), x * Math.sin(roll) + y * Math.cos(roll)];
+    [y, z] = [y * Math.cos(pitch) - z * Math.sin(pitch), y * Math.sin(pitch) + z * Math.cos(pitch)];
+    [x, z] = [x * Math.cos(yaw) + z * Math.sin(yaw), -x * Math.sin(yaw) + z * Math.cos(yaw)];
+    return [x, y, z];
+}
+
+/**
+ * Draws the controller as a rotated box, seen slightly from above.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object} orientation - Angles in radians, as { pitch, yaw, roll }
+ */
+export function draw_orientation(ctx, orientation) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const scale = Math.min(w, h) * 1.4;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    // Tilt the view down a bit so the top of the controller is visible at rest
+    const view = (p) => rotate(rotate(p, orientation), { pitch: 0.5, yaw: 0, roll: 0 });
+    const project = ([x, y, z]) => {
+        const f = scale / (CAMERA_DISTANCE - z);
+        return [w / 2 + x * f, h / 2 - y * f];
+    };
+
+    const hw = BODY.w / 2, hh = BODY.h / 2, hd = BODY.d / 2;
+    const corners = [];
+    for (const x of [-hw, hw]) for (const y of [-hh, hh]) for (const z of [-hd, hd]) corners.push(view([x, y, z]));
+
+    // Faces as corner indices, with the color used when facing the camera
+    const faces = [
+        { idx: [1, 3, 7, 5], color: '#cfd8e3' }, // front (z+)
+        { idx: [0, 4, 6, 2], color: '#cfd8e3' }, // back (z-)
+        { idx: [2, 6, 7, 3], color: '#7aa7d9' }, // top (y+)
+        { idx: [0, 1, 5, 4], color: '#9aa3ad' }, // bottom (y-)
+        { idx: [4, 5, 7, 6], color: '#b5bec8' }, // right (x+)
+        { idx: [0, 2, 3, 1], color: '#b5bec8' }, // left (x-)
+    ];
+
+    // Painter's algorithm: farthest faces first
+    const depth = (face) => face.idx.reduce((sum, i) => sum + corners[i][2], 0) / 4;
+    faces.sort((a, b) => depth(a) - depth(b));
+
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 1;
+    for (const face of faces) {
+        ctx.fillStyle = face.color;
+        ctx.beginPath();
+        face.idx.forEach((i, n) => {
+            const [x, y] = project(corners[i]);
+            if (n === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Mark the front edge (towards the player) to make the heading readable
+    const [fx1, fy1] = project(corners[3]);
+    const [fx2, fy2] = project(corners[7]);
+    ctx.strokeStyle = '#d9534f';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(fx1, fy1);
+    ctx.lineTo(fx2, fy2);
+    ctx.stroke();
+}
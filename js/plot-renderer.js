@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Fixed-size history of samples, oldest first.
+ */
+export class SampleHistory {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.samples = [];
+    }
+
+    push(value) {
+        this.samples.push(value);
+        if (this.samples.length > this.capacity) {
+            this.samples.shift();
+        }
+    }
+
+    values() {
+        return this.samples;
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+/**
+ * Draws one or more time series as lines over the whole canvas, newest sample on the right.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object[]} series - Series to draw, as { values: number[], color: string, label: string }
+ * @param {Object} opts - Options object
+ * @param {number} opts.min - Value at the bottom of the plot
+ * @param {number} opts.max - Value at the top of the plot
+ * @param {number} opts.capacity - Number of samples spanning the full width
+ * @param {number[]} opts.gridLines - Values at which to draw horizontal guides
+ */
+export function draw_time_series(ctx, series, opts = {}) {
+    const { min = 0, max = 1, capacity = 100, gridLines = [] } = opts;
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const to_y = (v) => h - 1 - (Math.min(max, Math.max(min, v)) - min) / (max - min) * (h - 2);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    // Draw guides
+    ctx.strokeStyle = '#dddddd';
+    ctx.lineWidth = 1;
+    for (const v of gridLines) {
+        ctx.beginPath();
+        ctx.moveTo(0, to_y(v));
+        ctx.lineTo(w, to_y(v));
+        ctx.stroke();
+    }
+
+    // Draw series, right-aligned so the plot scrolls to the left
+    ctx.lineWidth = 2;
+    for (const { values, color } of series) {
+        const offset = capacity - values.length;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        values.forEach((v, i) => {
+            const x = (offset + i) / (capacity - 1) * w;
+            if (i === 0) ctx.moveTo(x, to_y(v));
+            else ctx.lineTo(x, to_y(v));
+        });
+        ctx.stroke();
+    }
+
+    // Draw legend
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    series.forEach(({ color, label }, i) => {
+        if (!label) return;
+        ctx.fillStyle = color;
+        ctx.fillText(label, 4 + i * 60, 4);
+    });
+}
+
+/**
+ * Draws a histogram with one bar per bucket. Empty buckets between the first and
+ * last non-empty ones are marked in red, so gaps stand out.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number[]} counts - Number of samples per bucket
+ * @param {string} color - Bar color
+ */
+export function draw_histogram(ctx, counts, color) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const barW = w / counts.length;
+    // Square root scale, so rarely reached values remain visible next to the resting value
+    const peak = Math.sqrt(Math.max(1, ...counts));
+    const first = counts.findIndex(c => c > 0);
+    const last = counts.findLastIndex(c => c > 0);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    counts.forEach((count, i) => {
+        if (count > 0) {
+            const barH = Math.max(1, Math.sqrt(count) / peak * (h - 1));
+            ctx.fillStyle = color;
+            ctx.fillRect(i * barW, h - barH, Math.max(1, barW), barH);
+        } else if (i > first && i < last) {
+            ctx.fillStyle = '#d9534f';
+            ctx.fillRect(i * barW, h - 4, Math.max(1, barW), 4);
+        }
+    });
+
+    ctx.strokeStyle = '#dddddd';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0.5, 0.5, w - 1, h - 1);
+}
+
+/**
+ * Draws a battery history: the charge as a line, cable connected periods shaded
+ * in green and error readings marked in red. Readings further apart than gapMs
+ * are not joined.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object[]} entries - Readings, as { t, capacity, cable, error }, oldest first
+ * @param {Object} opts - Options object
+ * @param {number} opts.now - Time at the right edge, in milliseconds
+ * @param {number} opts.span - Time spanning the full width, in milliseconds
+ * @param {number} opts.gapMs - Largest interval between two joined readings
+ */
+export function draw_battery_history(ctx, entries, opts = {}) {
+    const { now = Date.now(), span = 3600000, gapMs = 60000 } = opts;
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const to_x = (t) => (t - (now - span)) / span * w;
+    const to_y = (capacity) => h - 1 - capacity / 100 * (h - 2);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    // Shade the cable connected periods and mark the errors
+    entries.forEach((entry, i) => {
+        const next = entries[i + 1];
+        const end = next && next.t - entry.t <= gapMs ? next.t : Math.min(now, entry.t + gapMs);
+        if (!entry.cable && !entry.error) return;
+        ctx.fillStyle = entry.error ? 'rgba(217, 83, 79, 0.35)' : 'rgba(76, 175, 80, 0.15)';
+        ctx.fillRect(to_x(entry.t), 0, Math.max(1, to_x(end) - to_x(entry.t)), h);
+    });
+
+    // Draw guides
+    ctx.strokeStyle = '#dddddd';
+    ctx.lineWidth = 1;
+    for (const v of [25, 50, 75]) {
+        ctx.beginPath();
+        ctx.moveTo(0, to_y(v));
+        ctx.lineTo(w, to_y(v));
+        ctx.stroke();
+    }
+
+    // Draw the charge, as steps since it is only reported in 10% increments
+    ctx.strokeStyle = '#2196f3';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    entries.forEach((entry, i) => {
+        const previous = entries[i - 1];
+        if (!previous || entry.t - previous.t > gapMs) {
+            ctx.moveTo(to_x(entry.t), to_y(entry.capacity));
+        } else {
+            ctx.lineTo(to_x(entry.t), to_y(previous.capacity));
+            ctx.lineTo(to_x(entry.t), to_y(entry.capacity));
+        }
+    });
+    ctx.stroke();
+
+    // Draw the time scale
+    ctx.fillStyle = '#666666';
+    ctx.font = '12px Arial';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    const minutes = Math.round(span / 60000);
+    ctx.fillText(minutes >= 120 ? `-${Math.round(minutes / 60)} h` : `-${minutes} min`, 4, h - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText("now", w - 4, h - 2);
+}
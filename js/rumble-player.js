@@ -0,0 +1,95 @@
+'use strict';
+
+const STEP_MS = 50;
+
+/**
+ * Preset motor patterns, at full intensity. Each one returns the motor levels
+ * at time t (in ms) since it started, or null once it is over.
+ */
+const PATTERNS = {
+  pulse: (t) => {
+    if (t >= 2000) return null;
+    const on = Math.floor(t / 250) % 2 === 0;
+    return on ? { left: 255, right: 255 } : { left: 0, right: 0 };
+  },
+  ramp: (t) => {
+    if (t >= 3000) return null;
+    const level = Math.round(255 * (t < 1500 ? t / 1500 : (3000 - t) / 1500));
+    return { left: level, right: level };
+  },
+  alternating: (t) => {
+    if (t >= 2400) return null;
+    const leftTurn = Math.floor(t / 300) % 2 === 0;
+    return leftTurn ? { left: 255, right: 0 } : { left: 0, right: 255 };
+  },
+};
+
+export const RUMBLE_PATTERNS = Object.keys(PATTERNS);
+
+/**
+ * Plays a preset pattern on the motors of one controller.
+ */
+export class RumblePlayer {
+  constructor() {
+    this.timer = null;
+    this.controller = null;
+  }
+
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+   * @param {Object} controller ControllerManager to play the pattern on
+   * @param {string} name One of RUMBLE_PATTERNS
+   * @param {Function} onEnd Called when the pattern is over or stopped
+   * @param {Function} onError Called with the error if the motors can't be set, which stops the pattern
+   */
+  async play(controller, name, onEnd = null, onError = null) {
+    const pattern = PATTERNS[name];
+    if (!pattern) throw new Error(`Unknown rumble pattern: ${name}`);
+
+    await this.stop();
+    this.controller = controller;
+    this.onEnd = onEnd;
+
+    const start = performance.now();
+    const step = async () => {
+      if (this.timer !== timer) return;
+      try {
+        const levels = pattern(performance.now() - start);
+        if (!levels) {
+          await this.stop();
+          return;
+        }
+        await controller.setMotors(levels.left, levels.right);
+      } catch (error) {
+        // Steps overlap when the device is slow: only the first failure is reported
+        if (this.timer !== timer) return;
+        await this.stop().catch(() => {});
+        onError?.(error);
+      }
+    };
+    const timer = setInterval(step, STEP_MS);
+    this.timer = timer;
+    await step();
+  }
+
+  async stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    const { controller, onEnd } = this;
+    this.controller = null;
+    this.onEnd = null;
+
+    try {
+      if (controller?.isConnected()) {
+        await controller.stopMotors();
+      }
+    } finally {
+      onEnd?.();
+    }
+  }
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+* Stick return-to-center (snapback) test
+*
+* Watches every stick for a flick to the edge followed by a release, then
+* waits for the position to stop moving. Each release gives a settle time
+* and a landing position; a healthy stick lands on a tight cluster around
+* the center, a worn spring leaves it scattered or off-center.
+*/
+
+// Deflection counted as "at the edge"
+const EDGE_DISTANCE = 0.9;
+// A stick still farther than this from the center is being held, not settled
+const SETTLE_DISTANCE = 0.3;
+// The stick is settled once it moved less than this for SETTLE_HOLD_MS
+const SETTLE_DELTA = 0.02;
+const SETTLE_HOLD_MS = 50;
+// Releases that don't settle within this time are ignored
+const SETTLE_TIMEOUT_MS = 1000;
+
+const MAX_LANDINGS = 200;
+
+class SnapbackDetector {
+  constructor() {
+    this.landings = [];
+    this.state = 'idle';
+  }
+
+  /**
+  * @returns {Object|null} The new landing { x, y, settleTime }, if the stick just settled
+  */
+  update({ x, y }, timestamp) {
+    const distance = Math.hypot(x, y);
+
+    switch (this.state) {
+      case 'idle':
+        if (distance >= EDGE_DISTANCE) this.state = 'edge';
+        return null;
+
+      case 'edge':
+        if (distance < EDGE_DISTANCE) {
+          this.state = 'released';
+          this.releaseTime = timestamp;
+          this.anchor = { x, y, time: timestamp };
+        }
+        return null;
+
+      case 'released': {
+        if (distance >= EDGE_DISTANCE) {
+          this.state = 'edge';
+          return null;
+        }
+        if (timestamp - this.releaseTime > SETTLE_TIMEOUT_MS) {
+          this.state = 'idle';
+          return null;
+        }
+        if (Math.hypot(x - this.anchor.x, y - this.anchor.y) > SETTLE_DELTA) {
+          this.anchor = { x, y, time: timestamp };
+          return null;
+        }
+        if (timestamp - this.anchor.time < SETTLE_HOLD_MS || distance >= SETTLE_DISTANCE) return null;
+
+        const landing = { x, y, settleTime: this.anchor.time - this.releaseTime };
+        this.landings.push(landing);
+        if (this.landings.length > MAX_LANDINGS) this.landings.shift();
+        this.state = 'idle';
+        return landing;
+      }
+    }
+    return null;
+  }
+
+  /**
+  * @returns {Object|null} { count, mean: {x, y}, spread, worst, avgSettleTime, maxSettleTime }, null without landings.
+  *   spread is the RMS distance of the landings from their mean, worst the largest distance from the center.
+  */
+  getStats() {
+    const count = this.landings.length;
+    if (count === 0) return null;
+
+    const mean = {
+      x: this.landings.reduce((sum, l) => sum + l.x, 0) / count,
+      y: this.landings.reduce((sum, l) => sum + l.y, 0) / count,
+    };
+    const spread = Math.sqrt(this.landings.reduce((sum, l) => sum + (l.x - mean.x) ** 2 + (l.y - mean.y) ** 2, 0) / count);
+    const worst = Math.max(...this.landings.map(l => Math.hypot(l.x, l.y)));
+    const settleTimes = this.landings.map(l => l.settleTime);
+
+    return {
+      count,
+      mean,
+      spread,
+      worst,
+      avgSettleTime: settleTimes.reduce((a, b) => a + b, 0) / count,
+      maxSettleTime: Math.max(...settleTimes),
+    };
+  }
+}
+
+export class SnapbackTest {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.left = new SnapbackDetector();
+    this.right = new SnapbackDetector();
+  }
+
+  /**
+  * Feed the stick positions of one input report
+  * @param {{left: {x, y}, right: {x, y}}} sticks Stick positions
+  * @param {number} timestamp Report time in milliseconds
+  * @returns {boolean} Whether a stick just settled
+  */
+  update(sticks, timestamp) {
+    if (!sticks) return false;
+    const left = this.left.update(sticks.left, timestamp);
+    const right = this.right.update(sticks.right, timestamp);
+    return !!(left || right);
+  }
+}
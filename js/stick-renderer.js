@@ -1,7 +1,7 @@
 'use strict';
 
 // Constants
-export const CIRCULARITY_DATA_SIZE = 48; // Number of angular positions to sample
+export const CIRCULARITY_DATA_SIZE = 48; // Default number of angular positions to sample
 
 /**
  * Draws analog stick position on a canvas with various visualization options.
@@ -15,9 +15,10 @@ export const CIRCULARITY_DATA_SIZE = 48; // Number of angular positions to sampl
  * @param {number[]|null} opts.circularity_data - Array of circularity test data
  * @param {boolean} opts.enable_zoom_center - Whether to apply center zoom transformation
  * @param {boolean} opts.highlight - Whether to highlight the stick position
+ * @param {Object[]|null} opts.landing_points - Positions where the stick settled after a release, as { x, y }
  */
 export function draw_stick_position(ctx, center_x, center_y, sz, stick_x, stick_y, opts = {}) {
-    const { circularity_data = null, enable_zoom_center = false, highlight } = opts;
+    const { circularity_data = null, enable_zoom_center = false, highlight, landing_points = null } = opts;
 
     // Draw base circle
     ctx.lineWidth = 1;
@@ -42,11 +43,11 @@ export function draw_stick_position(ctx, center_x, center_y, sz, stick_x, stick_
 
     // Draw circularity visualization if data provided
     if (circularity_data?.length > 0) {
-        const MAX_N = CIRCULARITY_DATA_SIZE;
+        const MAX_N = circularity_data.length;
 
         for(let i = 0; i < MAX_N; i++) {
             const kd = circularity_data[i];
-            const kd1 = circularity_data[(i+1) % CIRCULARITY_DATA_SIZE];
+            const kd1 = circularity_data[(i+1) % MAX_N];
             if (kd === undefined || kd1 === undefined) continue;
             const ka = i * Math.PI * 2 / MAX_N;
             const ka1 = ((i+1)%MAX_N) * 2 * Math.PI / MAX_N;
@@ -119,6 +120,17 @@ export function draw_stick_position(ctx, center_x, center_y, sz, stick_x, stick_
         ctx.stroke();
     }
 
+    // Draw snapback landing positions
+    if (landing_points?.length > 0) {
+        ctx.fillStyle = 'rgba(233, 30, 99, 0.5)';
+        for (const { x, y } of landing_points) {
+            const p = enable_zoom_center ? apply_center_zoom(x, y) : { x, y };
+            ctx.beginPath();
+            ctx.arc(center_x + p.x * sz, center_y + p.y * sz, 2, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
     ctx.fillStyle = '#000000';
     ctx.strokeStyle = '#000000';
 
@@ -168,7 +180,7 @@ export function draw_stick_position(ctx, center_x, center_y, sz, stick_x, stick_
  * @param {number[]} data - Array of distance values at different angular positions
  * @returns {number} RMS deviation as percentage
  */
-function calculateCircularityError(data) {
+export function calculateCircularityError(data) {
     // Sum of squared deviations from ideal distance of 1.0, only for values > 0.2
     const sumSquaredDeviations = data.reduce((acc, val) =>
         val > 0.2 ? acc + Math.pow(val - 1, 2) : acc, 0);
@@ -178,6 +190,15 @@ function calculateCircularityError(data) {
     return validDataCount > 0 ? Math.sqrt(sumSquaredDeviations / validDataCount) * 100 : 0;
 }
 
+/**
+ * Calculates which share of the angular positions has been reached by the stick.
+ * @param {number[]} data - Array of distance values at different angular positions
+ * @returns {number} Coverage from 0 to 1
+ */
+export function calculateCircularityCoverage(data) {
+    return data.filter(val => val > 0.5).length / data.length;
+}
+
 /**
  * Applies center zoom transformation to stick coordinates.
  * @param {number} x - X coordinate
@@ -208,3 +229,58 @@ function apply_center_zoom(x, y) {
         y: Math.sin(angle) * new_distance
     };
 }
+
+/**
+ * Draws stick samples as a scatter plot around the center, zoomed in since drift is small.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} center_x - X coordinate of the plot center
+ * @param {number} center_y - Y coordinate of the plot center
+ * @param {number} sz - Radius of the plot
+ * @param {Object[]} samples - Stick positions (-1 to 1), as { x, y }
+ * @param {Object} opts - Options object
+ * @param {number} opts.range - Stick deflection shown at the edge of the plot
+ * @param {number|null} opts.deadzone - Radius of the deadzone circle to draw
+ */
+export function draw_stick_scatter(ctx, center_x, center_y, sz, samples, opts = {}) {
+    const { range = 0.25, deadzone = null } = opts;
+    const scale = sz / range;
+
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#000000';
+    ctx.beginPath();
+    ctx.arc(center_x, center_y, sz, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+
+    // Crosshair
+    ctx.strokeStyle = '#aaaaaa';
+    ctx.beginPath();
+    ctx.moveTo(center_x - sz, center_y);
+    ctx.lineTo(center_x + sz, center_y);
+    ctx.moveTo(center_x, center_y - sz);
+    ctx.lineTo(center_x, center_y + sz);
+    ctx.stroke();
+
+    if (deadzone !== null) {
+        ctx.strokeStyle = '#4caf50';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.arc(center_x, center_y, Math.min(sz, deadzone * scale), 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = 'rgba(233, 30, 99, 0.3)';
+    for (const { x, y } of samples) {
+        const px = Math.max(-sz, Math.min(sz, x * scale));
+        const py = Math.max(-sz, Math.min(sz, y * scale));
+        ctx.fillRect(center_x + px - 1.5, center_y + py - 1.5, 3, 3);
+    }
+
+    ctx.fillStyle = '#555555';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`±${Math.round(range * 100)}%`, center_x + sz, center_y + sz);
+}
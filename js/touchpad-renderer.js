@@ -0,0 +1,68 @@
+'use strict';
+
+const SLOT_COLORS = ['#2196f3', '#e91e63'];
+
+/**
+ * Draws the touchpad test: coverage grid, then the recorded finger paths.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {TouchpadTest} test - Test state
+ */
+export function draw_touchpad_test(ctx, test) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+    if (!test.size) return;
+
+    const cellW = w / test.cols;
+    const cellH = h / test.rows;
+
+    // Fill the touched cells, then draw the grid over them
+    ctx.fillStyle = '#c8e6c9';
+    test.cells.forEach((covered, i) => {
+        if (!covered) return;
+        ctx.fillRect((i % test.cols) * cellW, Math.floor(i / test.cols) * cellH, cellW, cellH);
+    });
+
+    ctx.strokeStyle = '#dddddd';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let c = 1; c < test.cols; c++) {
+        ctx.moveTo(c * cellW, 0);
+        ctx.lineTo(c * cellW, h);
+    }
+    for (let r = 1; r < test.rows; r++) {
+        ctx.moveTo(0, r * cellH);
+        ctx.lineTo(w, r * cellH);
+    }
+    ctx.stroke();
+
+    const to_canvas = ({ x, y }) => [x / test.size.width * w, y / test.size.height * h];
+
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    for (const { slot, points } of test.strokes) {
+        ctx.strokeStyle = SLOT_COLORS[slot];
+        ctx.fillStyle = SLOT_COLORS[slot];
+        if (points.length === 1) {
+            // A tap: show it as a dot
+            const [x, y] = to_canvas(points[0]);
+            ctx.beginPath();
+            ctx.arc(x, y, 2, 0, 2 * Math.PI);
+            ctx.fill();
+            continue;
+        }
+        ctx.beginPath();
+        points.forEach((pt, i) => {
+            const [x, y] = to_canvas(pt);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = '#333333';
+    ctx.strokeRect(0.5, 0.5, w - 1, h - 1);
+}
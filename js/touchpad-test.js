@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+* Touchpad drawing and coverage test
+*
+* Records the path of both touch slots as strokes (a new stroke starts every
+* time a finger is put down) and divides the touchpad in a grid of cells.
+* The test passes once every cell has been touched, so a worn area that
+* never reports a touch shows up as a hole in the grid. Only the most recent
+* points of the path are kept, as the whole path is redrawn on every refresh;
+* the coverage grid keeps everything.
+*/
+
+export const TOUCHPAD_GRID_COLS = 12;
+export const TOUCHPAD_GRID_ROWS = 6;
+// Points kept in the strokes, the oldest are dropped first
+export const MAX_TOUCHPAD_POINTS = 5000;
+
+export class TouchpadTest {
+  constructor(cols = TOUCHPAD_GRID_COLS, rows = TOUCHPAD_GRID_ROWS) {
+    this.cols = cols;
+    this.rows = rows;
+    this.size = null;
+    this.reset();
+  }
+
+  reset() {
+    // Finished and ongoing strokes, as { slot, points: [{x, y}] }
+    this.strokes = [];
+    this.pointCount = 0;
+    // Ongoing stroke and touch id per slot
+    this.current = [null, null];
+    this.cells = new Array(this.cols * this.rows).fill(false);
+    this.dirty = true;
+  }
+
+  /**
+  * Record the touch points of one input report
+  * @param {Object[]} points Touch points, as { active, id, x, y }
+  * @param {{width: number, height: number}} size Raw range of the touchpad
+  */
+  update(points, size) {
+    if (!size) return;
+    if (this.size?.width !== size.width || this.size?.height !== size.height) {
+      this.size = size;
+      this.reset();
+    }
+
+    points.forEach((pt, slot) => {
+      if (!pt.active) {
+        this.current[slot] = null;
+        return;
+      }
+
+      let current = this.current[slot];
+      if (!current || current.id !== pt.id) {
+        current = { id: pt.id, stroke: { slot, points: [] } };
+        this.current[slot] = current;
+        this.strokes.push(current.stroke);
+      }
+
+      const last = current.stroke.points.at(-1);
+      if (last && last.x === pt.x && last.y === pt.y) return;
+
+      current.stroke.points.push({ x: pt.x, y: pt.y });
+      this.pointCount++;
+      this.cells[this.cellIndex(pt.x, pt.y)] = true;
+      this.dirty = true;
+    });
+
+    while (this.pointCount > MAX_TOUCHPAD_POINTS) {
+      const oldest = this.strokes[0];
+      oldest.points.shift();
+      this.pointCount--;
+      if (oldest.points.length === 0) this.strokes.shift();
+    }
+  }
+
+  cellIndex(x, y) {
+    const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.size.width * this.cols)));
+    const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.size.height * this.rows)));
+    return row * this.cols + col;
+  }
+
+  /**
+  * @returns {{covered: number, total: number, passed: boolean}}
+  */
+  getCoverage() {
+    const covered = this.cells.filter(Boolean).length;
+    const total = this.cells.length;
+    return { covered, total, passed: covered === total };
+  }
+}
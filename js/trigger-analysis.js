@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+* Trigger range and linearity analysis
+*
+* Counts every value reported by an analog trigger. A healthy trigger goes
+* from its resting value up to 255 through every value in between when
+* pulled slowly; a worn potentiometer stops short of 255 or jumps over
+* ranges of values.
+*/
+
+export const TRIGGER_MAX = 255;
+
+export class TriggerAnalysis {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.counts = new Array(TRIGGER_MAX + 1).fill(0);
+    this.dirty = true;
+  }
+
+  record(value) {
+    this.counts[value]++;
+    this.dirty = true;
+  }
+
+  /**
+  * @returns {Object|null} { resting, max, reached, skipped, skippedRanges }, or null before the first sample.
+  *   The resting value is the lowest one reported, skipped values lie between it and the maximum.
+  */
+  getStats() {
+    const resting = this.counts.findIndex(count => count > 0);
+    if (resting < 0) return null;
+    const max = this.counts.findLastIndex(count => count > 0);
+
+    const skippedRanges = [];
+    for (let v = resting + 1; v < max; v++) {
+      if (this.counts[v] > 0) continue;
+      const last = skippedRanges.at(-1);
+      if (last && last.to === v - 1) last.to = v;
+      else skippedRanges.push({ from: v, to: v });
+    }
+
+    const skipped = skippedRanges.reduce((sum, { from, to }) => sum + to - from + 1, 0);
+    return { resting, max, reached: max - resting + 1 - skipped, skipped, skippedRanges };
+  }
+}
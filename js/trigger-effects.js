@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+* DualSense adaptive trigger effects
+*
+* The trigger travel is split in 10 zones (0 = released, 9 = fully pressed).
+* Every effect is encoded in 11 bytes of the output report.
+*/
+
+export const TRIGGER_EFFECT_SIZE = 11;
+
+/**
+* Supported effect modes and their parameters ({ name, label, min, max, default })
+*/
+export const TRIGGER_EFFECT_MODES = {
+  off: {
+    label: "Off",
+    params: [],
+  },
+  feedback: {
+    label: "Feedback",
+    params: [
+      { name: 'position', label: "Start zone", min: 0, max: 9, default: 2 },
+      { name: 'strength', label: "Strength", min: 1, max: 8, default: 5 },
+    ],
+  },
+  weapon: {
+    label: "Weapon",
+    params: [
+      { name: 'start', label: "Start zone", min: 2, max: 7, default: 3 },
+      { name: 'end', label: "End zone", min: 3, max: 8, default: 6 },
+      { name: 'strength', label: "Strength", min: 1, max: 8, default: 8 },
+    ],
+  },
+  vibration: {
+    label: "Vibration",
+    params: [
+      { name: 'position', label: "Start zone", min: 0, max: 9, default: 0 },
+      { name: 'amplitude', label: "Amplitude", min: 1, max: 8, default: 6 },
+      { name: 'frequency', label: "Frequency (Hz)", min: 1, max: 255, default: 40 },
+    ],
+  },
+  multiple: {
+    label: "Multi-position",
+    params: Array.from({ length: 10 }, (_, i) => (
+      { name: `zone${i}`, label: `Zone ${i}`, min: 0, max: 8, default: i < 3 ? 0 : i - 1 }
+    )),
+  },
+};
+
+/**
+* Build an effect with the default value of every parameter
+* @param {string} mode One of the TRIGGER_EFFECT_MODES keys
+* @returns {Object} Effect { mode, ...params }
+*/
+export function default_trigger_effect(mode) {
+  const { params } = TRIGGER_EFFECT_MODES[mode];
+  return Object.fromEntries([['mode', mode], ...params.map(p => [p.name, p.default])]);
+}
+
+function clamp_param(effect, param) {
+  const value = Number(effect[param.name] ?? param.default);
+  return Math.min(param.max, Math.max(param.min, Math.round(value)));
+}
+
+/**
+* Encode the per-zone strengths (0 = no effect, 1-8) shared by the feedback and vibration modes
+*/
+function encode_zones(out, strengths) {
+  let activeZones = 0;
+  let forceZones = 0;
+  strengths.forEach((strength, i) => {
+    if (strength <= 0) return;
+    activeZones |= 1 << i;
+    forceZones |= ((strength - 1) & 0x07) << (3 * i);
+  });
+
+  out[1] = activeZones & 0xff;
+  out[2] = (activeZones >> 8) & 0xff;
+  out[3] = forceZones & 0xff;
+  out[4] = (forceZones >> 8) & 0xff;
+  out[5] = (forceZones >> 16) & 0xff;
+  out[6] = (forceZones >>> 24) & 0xff;
+}
+
+/**
+* Encode a trigger effect for the output report
+* @param {Object} effect Effect { mode, ...params }, out-of-range parameters are clamped
+* @returns {Uint8Array} 11 bytes
+*/
+export function encode_trigger_effect(effect) {
+  const out = new Uint8Array(TRIGGER_EFFECT_SIZE);
+  const definition = TRIGGER_EFFECT_MODES[effect?.mode] ?? TRIGGER_EFFECT_MODES.off;
+  const p = Object.fromEntries(definition.params.map(param => [param.name, clamp_param(effect, param)]));
+
+  switch (effect?.mode) {
+    case 'feedback': {
+      out[0] = 0x21;
+      encode_zones(out, Array.from({ length: 10 }, (_, i) => i >= p.position ? p.strength : 0));
+      break;
+    }
+    case 'weapon': {
+      const end = Math.max(p.end, p.start + 1);
+      const zones = (1 << p.start) | (1 << end);
+      out[0] = 0x25;
+      out[1] = zones & 0xff;
+      out[2] = (zones >> 8) & 0xff;
+      out[3] = p.strength - 1;
+      break;
+    }
+    case 'vibration': {
+      out[0] = 0x26;
+      encode_zones(out, Array.from({ length: 10 }, (_, i) => i >= p.position ? p.amplitude : 0));
+      out[9] = p.frequency;
+      break;
+    }
+    case 'multiple': {
+      out[0] = 0x21;
+      encode_zones(out, Array.from({ length: 10 }, (_, i) => p[`zone${i}`]));
+      break;
+    }
+    default:
+      out[0] = 0x05;
+      break;
+  }
+  return out;
+}
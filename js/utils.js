@@ -81,17 +81,96 @@ export function reverse_str(s) {
   return s.split('').reverse().join('');
 }
 
-export function lerp_color(a, b, t) {
-  // a, b: hex color strings, t: 0.0-1.0
-  function hex2rgb(hex) {
-    hex = hex.replace('#', '');
-    if (hex.length === 3) hex = hex.split('').map(x => x + x).join('');
-    const num = parseInt(hex, 16);
-    return [(num >> 16) & 255, (num >> 8) & 255, num & 255];
+/**
+* Shift every byte offset of a button map, used to derive Bluetooth layouts from USB ones
+* @param {Object[]} buttonMap Array of { name, byte, mask, svg } entries
+* @param {number} offset Number of bytes to add
+* @returns {Object[]} New button map
+*/
+export function offset_button_map(buttonMap, offset) {
+  return buttonMap.map(btn => ({ ...btn, byte: btn.byte + offset }));
+}
+
+let crc32_table = null;
+
+/**
+* Compute the CRC-32 appended to Bluetooth reports
+* @param {number} seed Bluetooth HID header byte (0xA1 input, 0xA2 output, 0x53 set feature, 0xA3 get feature)
+* @param {Uint8Array} bytes Report id followed by the report payload, without the trailing CRC
+* @returns {number} Unsigned 32-bit CRC
+*/
+export function crc32(seed, bytes) {
+  if (!crc32_table) {
+    crc32_table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crc32_table[i] = c >>> 0;
+    }
   }
-  function rgb2hex(r, g, b) {
-    return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+
+  let crc = 0xFFFFFFFF;
+  for (const b of [seed, ...bytes]) {
+    crc = crc32_table[(crc ^ b) & 0xFF] ^ (crc >>> 8);
   }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+* Check the CRC-32 stored in the last four bytes of a Bluetooth input report
+* @param {number} reportId Input report id
+* @param {DataView} data Report payload as received from WebHID (without report id)
+* @returns {boolean} True if the CRC matches
+*/
+export function check_input_crc(reportId, data) {
+  if (data.byteLength < 4) return false;
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength - 4);
+  const expected = data.getUint32(data.byteLength - 4, true);
+  return crc32(0xA1, [reportId, ...bytes]) === expected;
+}
+
+/**
+* Offer a string as a file download
+* @param {string} filename Suggested file name
+* @param {string} content File content
+* @param {string} mimeType MIME type of the content
+*/
+export function download_file(filename, content, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+* Convert a hex color string to its RGB components
+* @param {string} hex Color as #rgb or #rrggbb
+* @returns {number[]} [r, g, b], 0-255 each
+*/
+export function hex2rgb(hex) {
+  hex = hex.replace('#', '');
+  if (hex.length === 3) hex = hex.split('').map(x => x + x).join('');
+  const num = parseInt(hex, 16);
+  return [(num >> 16) & 255, (num >> 8) & 255, num & 255];
+}
+
+/**
+* Convert RGB components to a hex color string
+* @returns {string} Color as #rrggbb
+*/
+export function rgb2hex(r, g, b) {
+  return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+}
+
+export function lerp_color(a, b, t) {
+  // a, b: hex color strings, t: 0.0-1.0
   const c1 = hex2rgb(a);
   const c2 = hex2rgb(b);
   const c = [
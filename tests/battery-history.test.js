@@ -0,0 +1,114 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BatteryHistory } from '../js/battery-history.js';
+
+const MINUTE = 60 * 1000;
+
+function status(bat_capacity, { cable = false, charging = false, error = false } = {}) {
+  return { bat_capacity, cable_connected: cable, is_charging: charging, is_error: error };
+}
+
+// Feed the same reading every 5 seconds over [from, to)
+function feed(history, from, to, reading) {
+  for (let t = from; t < to; t += 5000) history.record(reading, t);
+}
+
+function memory_storage() {
+  const items = new Map();
+  return {
+    writes: 0,
+    getItem: (key) => items.get(key) ?? null,
+    setItem(key, value) { this.writes++; items.set(key, value); },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test("battery history without readings", () => {
+  const history = new BatteryHistory("test", null);
+  assert.equal(history.getRate(), null);
+  assert.deepEqual(history.getWarnings(0), []);
+});
+
+test("battery history with a single reading", () => {
+  const history = new BatteryHistory("test", null);
+  assert.equal(history.record(status(50), 0), true);
+  assert.deepEqual(history.getRate(), { state: 'discharging', capacity: 50, rate: null, remaining: null });
+  assert.deepEqual(history.getWarnings(0), []);
+});
+
+test("discharge rate between two level changes", () => {
+  const history = new BatteryHistory("test", null);
+  feed(history, 0, 30 * MINUTE, status(50));
+  feed(history, 30 * MINUTE, 90 * MINUTE, status(40));
+  feed(history, 90 * MINUTE, 91 * MINUTE, status(30));
+
+  const { state, capacity, rate, remaining } = history.getRate();
+  assert.equal(state, 'discharging');
+  assert.equal(capacity, 30);
+  assert.equal(rate, -10);
+  assert.equal(remaining, 3 * 60 * MINUTE);
+});
+
+test("no rate across a gap or a cable change", () => {
+  const history = new BatteryHistory("test", null);
+  feed(history, 0, 10 * MINUTE, status(50));
+  feed(history, 10 * MINUTE, 20 * MINUTE, status(40));
+  // Page closed for an hour
+  feed(history, 80 * MINUTE, 81 * MINUTE, status(30));
+  assert.equal(history.getRate().rate, null);
+
+  feed(history, 81 * MINUTE, 82 * MINUTE, status(30, { cable: true, charging: true }));
+  feed(history, 82 * MINUTE, 83 * MINUTE, status(40, { cable: true, charging: true }));
+  assert.deepEqual(history.getRate(), { state: 'charging', capacity: 40, rate: null, remaining: null });
+});
+
+test("full and error states have no rate", () => {
+  const history = new BatteryHistory("test", null);
+  history.record(status(100, { cable: true }), 0);
+  assert.equal(history.getRate().state, 'full');
+  history.record(status(0, { error: true }), 1000);
+  assert.deepEqual(history.getRate(), { state: 'error', capacity: 100, rate: null, remaining: null });
+});
+
+test("a level flickering at a boundary is not logged", () => {
+  const history = new BatteryHistory("test", null);
+  for (let t = 0; t < MINUTE; t += 4) history.record(status(t % 8 ? 40 : 50), t);
+  assert.deepEqual([...new Set(history.entries.map(entry => entry.capacity))], [50]);
+  assert.ok(history.entries.length <= 7, `${history.entries.length} entries`);
+});
+
+test("battery warnings: errors and cable flapping", () => {
+  const history = new BatteryHistory("test", null);
+  let t = 0;
+  for (const cable of [false, true, false, true]) history.record(status(50, { cable }), t += 1000);
+  // Error readings in between don't count as plug/unplug
+  history.record(status(0, { error: true }), t += 1000);
+  history.record(status(50, { cable: true }), t += 1000);
+  history.record(status(0, { error: true }), t += 1000);
+  assert.deepEqual(history.getWarnings(t), ["The battery reports an error", "Error state seen 2 times"]);
+
+  history.record(status(50), t += 1000);
+  assert.deepEqual(history.getWarnings(t), [
+    "Error state seen 2 times",
+    "Cable connected/disconnected 4 times in the last 5 minutes",
+  ]);
+  // The flaps age out of the window
+  assert.deepEqual(history.getWarnings(t + 6 * MINUTE), ["Error state seen 2 times"]);
+});
+
+test("battery history is saved at most every 30 seconds", () => {
+  const storage = memory_storage();
+  const history = new BatteryHistory("test", storage);
+  const start = Date.now();
+  for (let t = 0; t < MINUTE; t += 1000) history.record(status(50, { cable: t % 2000 === 0 }), start + t);
+  assert.equal(storage.writes, 2);
+
+  history.save(start + MINUTE);
+  assert.equal(storage.writes, 3);
+  history.save(start + MINUTE);
+  assert.equal(storage.writes, 3);
+  assert.equal(new BatteryHistory("test", storage).entries.length, history.entries.length);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import DS4Controller from '../js/controllers/ds4-controller.js';
+import DS5Controller from '../js/controllers/ds5-controller.js';
+import { initControllerManager } from '../js/controller-manager.js';
+import { MockHidDevice } from '../js/mock-hid-device.js';
+import { INPUT_REPORTS, report_view } from './fixtures/input-reports.js';
+
+function battery_view(value) {
+  return new DataView(new Uint8Array([value]).buffer);
+}
+
+test("DS4 battery on battery power", () => {
+  const ds4 = new DS4Controller(new MockHidDevice('ds4v2'));
+  for (let level = 0; level < 10; level++) {
+    assert.deepEqual(ds4.parseBatteryStatus(battery_view(level), 0),
+      { bat_capacity: level * 10 + 5, cable_connected: false, is_charging: false, is_error: false });
+  }
+  for (const level of [10, 11, 15]) {
+    assert.deepEqual(ds4.parseBatteryStatus(battery_view(level), 0),
+      { bat_capacity: 100, cable_connected: false, is_charging: false, is_error: false });
+  }
+});
+
+test("DS4 battery with the cable connected", () => {
+  const ds4 = new DS4Controller(new MockHidDevice('ds4v2'));
+  for (let level = 0; level < 10; level++) {
+    assert.deepEqual(ds4.parseBatteryStatus(battery_view(0x10 | level), 0),
+      { bat_capacity: level * 10 + 5, cable_connected: true, is_charging: true, is_error: false });
+  }
+  assert.deepEqual(ds4.parseBatteryStatus(battery_view(0x1a), 0),
+    { bat_capacity: 100, cable_connected: true, is_charging: true, is_error: false });
+  assert.deepEqual(ds4.parseBatteryStatus(battery_view(0x1b), 0),
+    { bat_capacity: 100, cable_connected: true, is_charging: false, is_error: false });
+  for (const level of [12, 13, 14, 15]) {
+    assert.deepEqual(ds4.parseBatteryStatus(battery_view(0x10 | level), 0),
+      { bat_capacity: 0, cable_connected: true, is_charging: false, is_error: true });
+  }
+});
+
+test("DS4 battery ignores the other bits of the byte", () => {
+  const ds4 = new DS4Controller(new MockHidDevice('ds4v2'));
+  assert.deepEqual(ds4.parseBatteryStatus(battery_view(0xe5), 0), ds4.parseBatteryStatus(battery_view(0x05), 0));
+  assert.deepEqual(ds4.parseBatteryStatus(battery_view(0xf5), 0), ds4.parseBatteryStatus(battery_view(0x15), 0));
+});
+
+test("DualSense battery states", () => {
+  const ds5 = new DS5Controller(new MockHidDevice('ds5'));
+  for (let level = 0; level < 16; level++) {
+    const capacity = Math.min(level * 10 + 5, 100);
+    assert.deepEqual(ds5.parseBatteryStatus(battery_view(level), 0),
+      { bat_capacity: capacity, cable_connected: false, is_charging: false, is_error: false });
+    assert.deepEqual(ds5.parseBatteryStatus(battery_view(0x10 | level), 0),
+      { bat_capacity: capacity, cable_connected: true, is_charging: true, is_error: false });
+    assert.deepEqual(ds5.parseBatteryStatus(battery_view(0x20 | level), 0),
+      { bat_capacity: 100, cable_connected: true, is_charging: false, is_error: false });
+    assert.deepEqual(ds5.parseBatteryStatus(battery_view(0xf0 | level), 0),
+      { bat_capacity: 0, cable_connected: true, is_charging: true, is_error: false });
+  }
+});
+
+test("DualSense battery error states", () => {
+  const ds5 = new DS5Controller(new MockHidDevice('ds5'));
+  for (let status = 3; status < 15; status++) {
+    assert.deepEqual(ds5.parseBatteryStatus(battery_view(status << 4 | 5), 0),
+      { bat_capacity: 0, cable_connected: false, is_charging: false, is_error: true });
+  }
+});
+
+test("Battery byte of the reference reports", () => {
+  const cases = [
+    [new DS4Controller(new MockHidDevice('ds4v2')), INPUT_REPORTS.ds4, 55],
+    [new DS5Controller(new MockHidDevice('ds5')), INPUT_REPORTS.ds5, 85],
+  ];
+  for (const [controller, reports, capacity] of cases) {
+    for (const connection of ['usb', 'bt']) {
+      controller.setConnectionType(connection);
+      const { batteryByte } = controller.getActiveInputConfig();
+      assert.deepEqual(controller.parseBatteryStatus(report_view(reports[connection].hex), batteryByte),
+        { bat_capacity: capacity, cable_connected: true, is_charging: true, is_error: false },
+        `${controller.getModel()} ${connection}`);
+    }
+  }
+});
+
+test("Battery text and change detection", () => {
+  const manager = initControllerManager();
+  manager.setControllerInstance(new DS5Controller(new MockHidDevice('ds5')));
+
+  const first = manager._parseBatteryStatus(battery_view(0x18), 0);
+  assert.equal(first.bat_txt, "85% charging");
+  assert.equal(first.changed, true);
+  assert.equal(manager._parseBatteryStatus(battery_view(0x18), 0).changed, false);
+
+  assert.equal(manager._parseBatteryStatus(battery_view(0x08), 0).bat_txt, "85% ");
+  assert.equal(manager._parseBatteryStatus(battery_view(0x35), 0).bat_txt, "error");
+});
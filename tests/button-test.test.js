@@ -0,0 +1,28 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ButtonTest } from '../js/button-test.js';
+import { DS5_INPUT_CONFIG } from '../js/controllers/ds5-controller.js';
+
+for (const connection of ['usb', 'bt']) {
+  test(`DualSense ${connection}: L2/R2 are only checked as analog triggers`, () => {
+    const buttonTest = new ButtonTest(DS5_INPUT_CONFIG[connection].buttonMap);
+    const names = buttonTest.buttons.map(button => button.name);
+
+    assert.ok(!names.includes('l2') && !names.includes('r2'), names.join());
+    for (const name of ['up', 'cross', 'l1', 'r1', 'l3', 'ps', 'mute']) {
+      assert.ok(names.includes(name), name);
+    }
+    assert.deepEqual(buttonTest.triggers.map(trigger => trigger.name), ['l2_analog', 'r2_analog']);
+  });
+}
+
+test("a trigger resting near 0 is not reported as chatter", () => {
+  const buttonTest = new ButtonTest(DS5_INPUT_CONFIG.usb.buttonMap);
+  [1, 0, 2, 0, 1].forEach((value, i) => buttonTest.update({ l2_analog: value }, i * 4));
+
+  assert.deepEqual(buttonTest.getResult().chattering, []);
+  assert.deepEqual(buttonTest.triggers[0], { name: 'l2_analog', label: "L2 analog", min: 0, max: 2, passed: false });
+});
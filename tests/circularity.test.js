@@ -0,0 +1,68 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CircularityData } from '../js/circularity.js';
+
+function add_at(data, degrees, distance) {
+  const angle = degrees * Math.PI / 180;
+  data.add(distance * Math.cos(angle), distance * Math.sin(angle));
+}
+
+const close_to = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test("circularity stats without samples", () => {
+  const stats = new CircularityData(24).getStats();
+  const empty = { covered: 0, peakMean: null, averageMean: null, peakMin: null, peakMax: null, error: null };
+
+  assert.equal(stats.resolution, 24);
+  assert.deepEqual(stats.overall, { bins: 24, ...empty });
+  for (const name of ['down_right', 'down_left', 'up_left', 'up_right']) {
+    assert.deepEqual(stats.quadrants[name], { bins: 7, ...empty }, name);
+    assert.deepEqual(stats.diagonals[name], { bins: 3, ...empty }, name);
+  }
+});
+
+test("circularity stats of a perfect circle", () => {
+  const data = new CircularityData(24);
+  for (let bin = 0; bin < 24; bin++) add_at(data, bin * 15, 1);
+
+  const { overall, quadrants } = data.getStats();
+  assert.equal(overall.covered, 24);
+  close_to(overall.peakMean, 1, "peak mean");
+  close_to(overall.error, 0, "error");
+  assert.equal(quadrants.up_left.covered, 7);
+});
+
+test("circularity stats only count the rim", () => {
+  const data = new CircularityData(24);
+  add_at(data, 0, 1);
+  add_at(data, 0, 0.8);
+  add_at(data, 0, 0.3);
+  add_at(data, 90, 0.4);
+
+  const { overall } = data.getStats();
+  assert.equal(overall.covered, 1);
+  close_to(overall.peakMean, 1, "peak mean");
+  close_to(overall.averageMean, 0.9, "average mean");
+  assert.equal(data.peak[6], 0.4);
+});
+
+test("the up-right quadrant wraps around 0 degrees", () => {
+  const data = new CircularityData(24);
+  add_at(data, 300, 1);
+  add_at(data, 345, 0.8);
+  add_at(data, 0, 0.9);
+
+  const { overall, quadrants, diagonals } = data.getStats();
+  assert.equal(quadrants.up_right.covered, 3);
+  assert.equal(quadrants.up_right.peakMin, 0.8);
+  assert.equal(quadrants.up_right.peakMax, 1);
+  close_to(quadrants.up_right.error, Math.sqrt((0.01 + 0.04) / 3) * 100, "error");
+  // The bin at 0 degrees lies on the border and counts for both quadrants
+  assert.equal(quadrants.down_right.covered, 1);
+  assert.equal(quadrants.down_left.covered, 0);
+  assert.equal(diagonals.up_right.covered, 1);
+  assert.equal(overall.covered, 3);
+});
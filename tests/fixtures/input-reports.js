@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+* Reference input reports of every model, as handed to oninputreport (without
+* the report id), one per connection type. All of them carry the same state:
+*
+* - left stick at the bottom-left corner (0x00, 0xff), right stick centered
+*   horizontally and pushed halfway up (0x80, 0x40)
+* - d-pad right (hat 2), cross, L1, R3 and PS held; the Edge also holds the left paddle
+* - L2 at 0x10, R2 fully pressed
+* - first touch point active (id 5, x 1000, y 500), second one released (id 6)
+* - cable connected and charging, 55% (DS4) or 85% (DualSense)
+*
+* Bluetooth reports end with a valid CRC-32.
+*/
+
+export const INPUT_REPORTS = {
+  ds4: {
+    usb: {
+      reportId: 0x01,
+      hex: "00ff804022810110ff0000000000000000000000002000000000000000150000" +
+           "000005e8431f86000000000000000000000000000000000000000000000000",
+    },
+    bt: {
+      reportId: 0x11,
+      hex: "c00000ff804022810110ff000000000000000000000000200000000000000015" +
+           "0000000005e8431f860000000000000000000000000000000000000000000000" +
+           "0000000000000000002b15fafd",
+    },
+  },
+  ds5: {
+    usb: {
+      reportId: 0x01,
+      hex: "00ff804010ff0022810100000000000000000000000000002000000000000000" +
+           "05e8431f860000000000000000000000000000001800000000000000000000",
+    },
+    bt: {
+      reportId: 0x31,
+      hex: "0000ff804010ff00228101000000000000000000000000000020000000000000" +
+           "0005e8431f860000000000000000000000000000001800000000000000000000" +
+           "000000000000000000331c034d",
+    },
+  },
+  ds5edge: {
+    usb: {
+      reportId: 0x01,
+      hex: "00ff804010ff0022814100000000000000000000000000002000000000000000" +
+           "05e8431f860000000000000000000000000000001800000000000000000000",
+    },
+    bt: {
+      reportId: 0x31,
+      hex: "0000ff804010ff00228141000000000000000000000000000020000000000000" +
+           "0005e8431f860000000000000000000000000000001800000000000000000000" +
+           "0000000000000000002fe48560",
+    },
+  },
+};
+
+// Mock profile of every model, see MockHidDevice
+export const MODEL_PROFILES = { ds4: 'ds4v2', ds5: 'ds5', ds5edge: 'ds5edge' };
+
+/**
+* Decode a fixture into a fresh DataView, optionally overriding some bytes
+* @param {string} hex Report bytes
+* @param {Object} overrides { offset: value } pairs
+* @returns {DataView} Report data
+*/
+export function report_view(hex, overrides = {}) {
+  const bytes = new Uint8Array(hex.match(/../g).map(b => parseInt(b, 16)));
+  for (const [offset, value] of Object.entries(overrides)) {
+    bytes[offset] = value;
+  }
+  return new DataView(bytes.buffer);
+}
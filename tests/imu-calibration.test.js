@@ -0,0 +1,34 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ControllerFactory from '../js/controllers/controller-factory.js';
+import { MockHidDevice, IMU_CALIBRATION } from '../js/mock-hid-device.js';
+
+// Scale of every gyro axis, from the interleaved reference values
+const [bias, readings, speed] = [IMU_CALIBRATION.slice(0, 3), IMU_CALIBRATION.slice(3, 9), IMU_CALIBRATION[9] + IMU_CALIBRATION[10]];
+const EXPECTED_GYRO_SCALE = ['x', 'y', 'z'].map((axis, i) =>
+  [axis, speed / (Math.abs(readings[i * 2] - bias[i]) + Math.abs(readings[i * 2 + 1] - bias[i]))]);
+
+for (const profile of ['ds4v1', 'ds4v2', 'ds5', 'ds5edge']) {
+  for (const connection of ['usb', 'bt']) {
+    test(`${profile} ${connection}: gyro calibration pairs the readings of each axis`, async () => {
+      const device = new MockHidDevice(profile, { connection });
+      await device.open();
+      try {
+        const controller = ControllerFactory.createControllerInstance(device);
+        controller.setConnectionType(connection);
+        const { gyro, accel } = await controller.readImuCalibration();
+
+        for (const [axis, scale] of EXPECTED_GYRO_SCALE) {
+          assert.ok(Math.abs(gyro[axis].scale - scale) < 1e-9, `gyro ${axis}: ${gyro[axis].scale} != ${scale}`);
+          assert.equal(gyro[axis].ok, true, `gyro ${axis}`);
+          assert.equal(accel[axis].ok, true, `accel ${axis}`);
+        }
+      } finally {
+        await device.close();
+      }
+    });
+  }
+}
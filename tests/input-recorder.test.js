@@ -0,0 +1,59 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InputRecorder, parse_recording } from '../js/input-recorder.js';
+
+function recording_json(changes = {}) {
+  const recorder = new InputRecorder({ model: "DS4", vendorId: 0x054c, productId: 0x09cc, connection: "usb" });
+  recorder.record(0x01, new DataView(new Uint8Array([0x80, 0x7f, 0x00, 0xff]).buffer), 1000);
+  recorder.record(0x01, new DataView(new Uint8Array([0x81, 0x7f, 0x00, 0xff]).buffer), 1004);
+  return JSON.stringify({ ...recorder.toJSON(), ...changes });
+}
+
+const report = { t: 0, id: 0x01, data: "807f00ff" };
+
+test("parse_recording: accepts a recording", () => {
+  const recording = parse_recording(recording_json());
+  assert.equal(recording.connection, "usb");
+  assert.deepEqual(recording.reports, [report, { t: 4, id: 0x01, data: "817f00ff" }]);
+});
+
+test("parse_recording: rejects other files", () => {
+  assert.throws(() => parse_recording("not json"), /not an input recording/);
+  assert.throws(() => parse_recording(JSON.stringify({ reports: [] })), /not an input recording/);
+  assert.throws(() => parse_recording(recording_json({ version: 2 })), /Unsupported recording version/);
+  assert.throws(() => parse_recording(recording_json({ reports: [] })), /empty/);
+});
+
+test("parse_recording: rejects an invalid connection type", () => {
+  for (const connection of [undefined, null, "", "USB", "serial", 1]) {
+    assert.throws(() => parse_recording(recording_json({ connection })), /Invalid connection type/, String(connection));
+  }
+});
+
+test("parse_recording: rejects invalid vendor and product IDs", () => {
+  for (const ids of [{ vendorId: undefined }, { productId: "09cc" }, { vendorId: 1.5 }, { productId: null }]) {
+    assert.throws(() => parse_recording(recording_json(ids)), /vendor and product ID/, JSON.stringify(ids));
+  }
+});
+
+test("parse_recording: rejects invalid reports", () => {
+  const { id, ...no_id } = report;
+  const { data, ...no_data } = report;
+  for (const invalid of [
+    null,
+    no_id,
+    { ...report, id: "1" },
+    { ...report, id: 1.5 },
+    no_data,
+    { ...report, data: 0x807f },
+    { ...report, data: "807f0" },
+    { ...report, data: "807f0g" },
+    { ...report, t: "0" },
+  ]) {
+    const reports = [report, invalid];
+    assert.throws(() => parse_recording(recording_json({ reports })), /Invalid report #2/, JSON.stringify(invalid));
+  }
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ControllerFactory from '../js/controllers/controller-factory.js';
+import { initControllerManager } from '../js/controller-manager.js';
+import { MockHidDevice } from '../js/mock-hid-device.js';
+import { INPUT_REPORTS, MODEL_PROFILES, report_view } from './fixtures/input-reports.js';
+
+function create_manager(profile, connection) {
+  const manager = initControllerManager({ handleNvStatusUpdate: () => {} });
+  const instance = ControllerFactory.createControllerInstance(new MockHidDevice(profile, { connection }));
+  instance.setConnectionType(connection);
+  manager.setControllerInstance(instance);
+
+  const results = [];
+  manager.setInputHandler((result) => results.push(result));
+  return { manager, results };
+}
+
+const HAT_DIRECTIONS = [
+  ['up'], ['up', 'right'], ['right'], ['down', 'right'],
+  ['down'], ['down', 'left'], ['left'], ['up', 'left'],
+  [], [], [], [], [], [], [], [],
+];
+
+for (const [model, profile] of Object.entries(MODEL_PROFILES)) {
+  for (const connection of ['usb', 'bt']) {
+    const { reportId, hex } = INPUT_REPORTS[model][connection];
+
+    test(`${model} ${connection}: reference report`, () => {
+      const { manager, results } = create_manager(profile, connection);
+      manager.processControllerInput({ reportId, data: report_view(hex) });
+
+      assert.equal(results.length, 1);
+      const [{ changes, touchPoints, batteryStatus }] = results;
+
+      assert.deepEqual(changes.sticks, { left: { x: -1, y: 1 }, right: { x: 0, y: -0.5 } });
+      assert.deepEqual(manager.button_states.sticks_raw, {
+        left: { x: -127.5 / 128, y: 127.5 / 128 },
+        right: { x: 0.5 / 128, y: -63.5 / 128 },
+      });
+      assert.equal(changes.l2_analog, 0x10);
+      assert.equal(changes.r2_analog, 0xff);
+      assert.equal(changes.right, true);
+      for (const name of ['cross', 'l1', 'r3', 'ps']) {
+        assert.equal(changes[name], true, name);
+      }
+      for (const name of ['up', 'down', 'left', 'square', 'circle', 'triangle', 'r1', 'l3', 'options', 'touchpad']) {
+        assert.equal(manager.button_states[name], false, name);
+      }
+      if (model === 'ds5edge') {
+        assert.equal(changes.paddle_left, true);
+        assert.equal(changes.paddle_right, false);
+      }
+
+      assert.deepEqual(touchPoints, [
+        { active: true, id: 5, x: 1000, y: 500 },
+        { active: false, id: 6, x: 0, y: 0 },
+      ]);
+      assert.equal(batteryStatus.cable_connected, true);
+      assert.equal(batteryStatus.is_charging, true);
+    });
+
+    test(`${model} ${connection}: d-pad hat values`, () => {
+      const { manager } = create_manager(profile, connection);
+      const { buttonMap, dpadByte, l2AnalogByte, r2AnalogByte, sticksOffset } = manager.getInputConfig();
+
+      for (let hat = 0; hat < 16; hat++) {
+        // The face buttons share the byte and must not leak into the hat
+        const data = report_view(hex, { [dpadByte]: 0xf0 | hat });
+        manager._recordButtonStates(data, buttonMap, dpadByte, l2AnalogByte, r2AnalogByte, sticksOffset);
+
+        const pressed = ['up', 'right', 'down', 'left'].filter(dir => manager.button_states[dir]);
+        assert.deepEqual(pressed.sort(), [...HAT_DIRECTIONS[hat]].sort(), `hat ${hat}`);
+        for (const name of ['square', 'cross', 'circle', 'triangle']) {
+          assert.equal(manager.button_states[name], true, `${name} with hat ${hat}`);
+        }
+      }
+    });
+
+    test(`${model} ${connection}: only changed fields are reported`, () => {
+      const { manager, results } = create_manager(profile, connection);
+      manager.processControllerInput({ reportId, data: report_view(hex) });
+      manager.processControllerInput({ reportId, data: report_view(hex) });
+
+      assert.deepEqual(Object.keys(results[1].changes).filter(key => key !== 'gyro' && key !== 'accel'), []);
+    });
+  }
+}
+
+test("Bluetooth reports with a bad CRC are dropped", () => {
+  for (const [model, profile] of Object.entries(MODEL_PROFILES)) {
+    const { reportId, hex } = INPUT_REPORTS[model].bt;
+    const { manager, results } = create_manager(profile, 'bt');
+
+    const data = report_view(hex);
+    data.setUint8(10, data.getUint8(10) ^ 0x01);
+    manager.processControllerInput({ reportId, data });
+    assert.equal(results.length, 0, model);
+  }
+});
+
+test("Reports of another layout are dropped", () => {
+  const { manager, results } = create_manager('ds5', 'bt');
+  // The reduced report sent over Bluetooth before the full reports are enabled
+  manager.processControllerInput({ reportId: 0x01, data: new DataView(new ArrayBuffer(9)) });
+  manager.processControllerInput({ reportId: 0x31, data: new DataView(new ArrayBuffer(40)) });
+  assert.equal(results.length, 0);
+});
+
+test("Touch points: active bit, id and coordinates", () => {
+  const { manager } = create_manager('ds5', 'usb');
+  const data = new DataView(new Uint8Array([
+    0x7f, 0xff, 0xff, 0xff,
+    0x80, 0x00, 0x00, 0x00,
+  ]).buffer);
+
+  assert.deepEqual(manager._parseTouchPoints(data, 0), [
+    { active: true, id: 0x7f, x: 0xfff, y: 0xfff },
+    { active: false, id: 0, x: 0, y: 0 },
+  ]);
+
+  // x spans byte 1 and the low nibble of byte 2, y the high nibble of byte 2 and byte 3
+  const split = new DataView(new Uint8Array([0x01, 0x34, 0x12, 0x56, 0x81, 0x00, 0x0f, 0x00]).buffer);
+  assert.deepEqual(manager._parseTouchPoints(split, 0), [
+    { active: true, id: 1, x: 0x234, y: 0x561 },
+    { active: false, id: 1, x: 0xf00, y: 0 },
+  ]);
+});
+
+test("Stick values are scaled to -1..1", () => {
+  const { manager } = create_manager('ds4v2', 'usb');
+  const { buttonMap, dpadByte, l2AnalogByte, r2AnalogByte } = manager.getInputConfig();
+  const data = report_view(INPUT_REPORTS.ds4.usb.hex, { 0: 0x00, 1: 0x40, 2: 0x80, 3: 0xff });
+
+  const changes = manager._recordButtonStates(data, buttonMap, dpadByte, l2AnalogByte, r2AnalogByte, 0);
+  assert.deepEqual(changes.sticks, { left: { x: -1, y: -0.5 }, right: { x: 0, y: 1 } });
+});
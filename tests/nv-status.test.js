@@ -0,0 +1,131 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ControllerFactory from '../js/controllers/controller-factory.js';
+import { MockHidDevice } from '../js/mock-hid-device.js';
+
+async function open_controller(profile, opts = {}) {
+  const device = new MockHidDevice(profile, opts);
+  await device.open();
+  const controller = ControllerFactory.createControllerInstance(device);
+  controller.setConnectionType(opts.connection ?? 'usb');
+  return { device, controller };
+}
+
+/**
+* Answer the NV status query with a raw report, bypassing the mock logic
+*/
+function reply_with(device, bytes) {
+  const receive = device.receiveFeatureReport.bind(device);
+  device.receiveFeatureReport = async (reportId) => {
+    if (reportId !== 0x11 && reportId !== 0x81) return receive(reportId);
+    return new DataView(new Uint8Array([reportId, ...bytes]).buffer);
+  };
+}
+
+for (const connection of ['usb', 'bt']) {
+  test(`DS4 ${connection}: locked and unlocked`, async () => {
+    const { device, controller } = await open_controller('ds4v1', { connection });
+    try {
+      assert.deepEqual(await controller.queryNvStatus(),
+        { device: 'ds4', code: 1, status: 'locked', locked: true, mode: 'temporary' });
+      assert.deepEqual(await controller.nvsUnlock(), { ok: true });
+      assert.deepEqual(await controller.queryNvStatus(),
+        { device: 'ds4', code: 0, status: 'unlocked', locked: false, mode: 'permanent' });
+      assert.deepEqual(await controller.nvsLock(), { ok: true });
+      assert.equal((await controller.queryNvStatus()).status, 'locked');
+    } finally {
+      await device.close();
+    }
+  });
+
+  test(`DualSense ${connection}: locked, unlocked and pending reboot`, async () => {
+    const { device, controller } = await open_controller('ds5', { connection });
+    try {
+      assert.deepEqual(await controller.queryNvStatus(),
+        { device: 'ds5', status: 'locked', locked: true, mode: 'temporary', code: 1, raw: 0x03030201 });
+      assert.deepEqual(await controller.nvsUnlock(), { ok: true });
+      assert.deepEqual(await controller.queryNvStatus(),
+        { device: 'ds5', status: 'unlocked', locked: false, mode: 'permanent', code: 0, raw: 0x03030200 });
+
+      device.pendingReboot = true;
+      assert.deepEqual(await controller.queryNvStatus(),
+        { device: 'ds5', status: 'pending_reboot', locked: null, code: 4, raw: 0x15010100 });
+    } finally {
+      await device.close();
+    }
+  });
+}
+
+test("DualSense lock and unlock check the 0x83 reply", async () => {
+  const { device, controller } = await open_controller('ds5');
+  try {
+    assert.deepEqual(await controller.nvsLock(), { ok: true });
+
+    // A wrong key is refused, and the lock stays
+    await device.sendFeatureReport(0x80, new Uint8Array([3, 2, 0, 0, 0, 0]));
+    assert.deepEqual([...new Uint8Array((await device.receiveFeatureReport(0x83)).buffer, 0, 4)], [0x83, 3, 2, 1]);
+    assert.equal((await controller.queryNvStatus()).status, 'locked');
+
+    const receive = device.receiveFeatureReport.bind(device);
+    device.receiveFeatureReport = async (reportId) => {
+      if (reportId !== 0x83) return receive(reportId);
+      return new DataView(new Uint8Array([0x83, 3, 2, 1]).buffer);
+    };
+    const refused = await controller.nvsUnlock();
+    assert.equal(refused.ok, false);
+    assert.match(refused.error.message, /NVS command refused: 83030201/);
+    assert.equal(refused.reply, "83030201");
+
+    // A reply to another command is not taken for a success either
+    device.receiveFeatureReport = async (reportId) => {
+      if (reportId !== 0x83) return receive(reportId);
+      return new DataView(new Uint8Array([0x83, 1, 1, 2]).buffer);
+    };
+    assert.equal((await controller.nvsLock()).ok, false);
+  } finally {
+    await device.close();
+  }
+});
+
+test("DS4 unknown NV codes", async () => {
+  const { device, controller } = await open_controller('ds4v2');
+  try {
+    for (const code of [2, 3, 0x80, 0xff]) {
+      reply_with(device, [code, 0]);
+      assert.deepEqual(await controller.queryNvStatus(), { device: 'ds4', code, status: 'unknown', locked: null });
+    }
+  } finally {
+    await device.close();
+  }
+});
+
+test("DualSense unknown NV codes", async () => {
+  const { device, controller } = await open_controller('ds5');
+  try {
+    reply_with(device, [0, 0, 0, 1]);
+    assert.deepEqual(await controller.queryNvStatus(), { device: 'ds5', status: 'unknown', locked: null, code: 2, raw: 1 });
+    reply_with(device, [0, 0, 0, 2]);
+    assert.deepEqual(await controller.queryNvStatus(), { device: 'ds5', status: 'unknown', locked: null, code: 2, raw: 2 });
+    reply_with(device, [0x03, 0x03, 0x02, 0x05]);
+    assert.deepEqual(await controller.queryNvStatus(),
+      { device: 'ds5', status: 'unknown', locked: null, code: 0x03030205, raw: 0x03030205 });
+  } finally {
+    await device.close();
+  }
+});
+
+test("NV status of a device that doesn't answer", async () => {
+  for (const profile of ['ds4v1', 'ds5', 'ds5edge']) {
+    const { device, controller } = await open_controller(profile);
+    await device.close();
+
+    const nv = await controller.queryNvStatus();
+    assert.equal(nv.status, 'error', profile);
+    assert.equal(nv.locked, null, profile);
+    assert.equal(nv.code, 2, profile);
+    assert.ok(nv.error instanceof Error, profile);
+  }
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ControllerFactory from '../js/controllers/controller-factory.js';
+import { MockHidDevice } from '../js/mock-hid-device.js';
+
+const VALUES = [0x801, 0x7fe, 0x803, 0x7fc, 0x700, 0x710, 0x720, 0x730, 0x740, 0x750, 0x760, 0x770];
+
+// Sub-commands of command 12 sent for a read and a write
+const SUB_COMMANDS = { ds5: { read: 2, write: 1 }, ds5edge: { read: 4, write: 1 } };
+
+for (const [profile, expected] of Object.entries(SUB_COMMANDS)) {
+  test(`${profile}: stick calibration read and write sub-commands`, async () => {
+    const device = new MockHidDevice(profile);
+    await device.open();
+    try {
+      const controller = ControllerFactory.createControllerInstance(device);
+      controller.setConnectionType('usb');
+
+      const sent = [];
+      const send = device.sendFeatureReport.bind(device);
+      device.sendFeatureReport = async (reportId, data) => {
+        if (reportId === 0x80 && data[0] === 12) sent.push(data[1]);
+        return send(reportId, data);
+      };
+
+      await controller.writeStickCalibration(VALUES);
+      assert.deepEqual(await controller.readStickCalibration(), VALUES);
+      assert.deepEqual(sent, [expected.write, expected.read]);
+    } finally {
+      await device.close();
+    }
+  });
+}
@@ -0,0 +1,103 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  float_to_str,
+  buf2hex,
+  dec2hex,
+  dec2hex32,
+  dec2hex8,
+  format_mac_from_view,
+  reverse_str,
+  offset_button_map,
+  crc32,
+  check_input_crc,
+  hex2rgb,
+  rgb2hex,
+  lerp_color,
+} from '../js/utils.js';
+import { INPUT_REPORTS, report_view } from './fixtures/input-reports.js';
+
+test("float_to_str", () => {
+  assert.equal(float_to_str(0), "+0.00");
+  assert.equal(float_to_str(0.0039), "+0.00");
+  assert.equal(float_to_str(-0.004), "+0.00");
+  assert.equal(float_to_str(-0.005), "-0.01");
+  assert.equal(float_to_str(0.5), "+0.50");
+  assert.equal(float_to_str(-1), "-1.00");
+  assert.equal(float_to_str(0.001, 3), "+0.001");
+});
+
+test("buf2hex", () => {
+  assert.equal(buf2hex(new Uint8Array([0x00, 0x0f, 0xa0, 0xff]).buffer), "000fa0ff");
+  assert.equal(buf2hex(new ArrayBuffer(0)), "");
+});
+
+test("dec2hex, dec2hex8 and dec2hex32", () => {
+  assert.equal(dec2hex(0), "0000");
+  assert.equal(dec2hex(0x054c), "054C");
+  assert.equal(dec2hex(0xffff), "FFFF");
+  assert.equal(dec2hex8(0x0a), "0A");
+  assert.equal(dec2hex8(0xff), "FF");
+  assert.equal(dec2hex32(0x1), "00000001");
+  assert.equal(dec2hex32(0x03030201), "03030201");
+  assert.equal(dec2hex32(0xffffffff), "FFFFFFFF");
+});
+
+test("format_mac_from_view reads the address backwards", () => {
+  const view = new DataView(new Uint8Array([0x12, 0x56, 0x34, 0x12, 0xef, 0xcd, 0xab, 0x99]).buffer);
+  assert.equal(format_mac_from_view(view, 1), "AB:CD:EF:12:34:56");
+});
+
+test("reverse_str", () => {
+  assert.equal(reverse_str("ABC123"), "321CBA");
+  assert.equal(reverse_str(""), "");
+});
+
+test("offset_button_map keeps the original map", () => {
+  const map = [{ name: 'cross', byte: 4, mask: 0x20, svg: 'Cross' }];
+  assert.deepEqual(offset_button_map(map, 2), [{ name: 'cross', byte: 6, mask: 0x20, svg: 'Cross' }]);
+  assert.equal(map[0].byte, 4);
+});
+
+test("crc32 is the standard CRC-32 with the seed as first byte", () => {
+  // CRC-32 check value of "123456789"
+  assert.equal(crc32(0x31, [..."23456789"].map(c => c.charCodeAt(0))), 0xCBF43926);
+  assert.equal(crc32(0xa2, []), crc32(0xa2, new Uint8Array(0)));
+  assert.notEqual(crc32(0xa1, [0x31]), crc32(0xa2, [0x31]));
+});
+
+test("check_input_crc", () => {
+  for (const model of ['ds4', 'ds5', 'ds5edge']) {
+    const { reportId, hex } = INPUT_REPORTS[model].bt;
+    assert.equal(check_input_crc(reportId, report_view(hex)), true, model);
+    assert.equal(check_input_crc(reportId + 1, report_view(hex)), false, model);
+    assert.equal(check_input_crc(reportId, report_view(hex, { 20: 0x01 })), false, model);
+  }
+  assert.equal(check_input_crc(0x31, new DataView(new ArrayBuffer(3))), false);
+});
+
+test("check_input_crc on a view into a larger buffer", () => {
+  const { reportId, hex } = INPUT_REPORTS.ds5.bt;
+  const report = new Uint8Array(report_view(hex).buffer);
+  const buffer = new Uint8Array(report.length + 1);
+  buffer[0] = reportId;
+  buffer.set(report, 1);
+  assert.equal(check_input_crc(reportId, new DataView(buffer.buffer, 1)), true);
+});
+
+test("hex2rgb and rgb2hex", () => {
+  assert.deepEqual(hex2rgb("#0000ff"), [0, 0, 255]);
+  assert.deepEqual(hex2rgb("12ab34"), [0x12, 0xab, 0x34]);
+  assert.deepEqual(hex2rgb("#f80"), [255, 136, 0]);
+  assert.equal(rgb2hex(0, 0, 255), "#0000ff");
+  assert.equal(rgb2hex(0x12, 0xab, 0x34), "#12ab34");
+});
+
+test("lerp_color", () => {
+  assert.equal(lerp_color("#000000", "#ffffff", 0), "#000000");
+  assert.equal(lerp_color("#000000", "#ffffff", 1), "#ffffff");
+  assert.equal(lerp_color("#000000", "#ff8000", 0.5), "#804000");
+});